@@ -2,8 +2,10 @@
 /* eslint-disable valid-jsdoc */
 
 import Evented from 'orbit/evented';
-import { isArray, isObject } from 'orbit/lib/objects';
+import { isArray, isObject, extend } from 'orbit/lib/objects';
 import { eq } from 'orbit/lib/eq';
+import { OperationNotAllowed } from 'orbit/lib/exceptions';
+import { toIdentifier } from 'orbit/lib/identifiers';
 import Query from 'orbit/query';
 import QueryEvaluator from 'orbit/query/evaluator';
 import './rxjs/add/observable/from-orbit-event';
@@ -11,10 +13,109 @@ import { Observable } from 'rxjs/Observable';
 import CacheObservable from './cache/observables/cache-observable';
 import CacheIntegrityProcessor from './cache/operation-processors/cache-integrity-processor';
 import SchemaConsistencyProcessor from './cache/operation-processors/schema-consistency-processor';
-import QueryOperators from './cache/query-operators';
+import QueryOperators, { AGGREGATE_OPERATORS } from './cache/query-operators';
 import PatchTransforms from './cache/patch-transforms';
 import InverseTransforms from './cache/inverse-transforms';
-import LiveQueryOperators from './cache/live-query-operators';
+import LiveQueryOperators, { UPDATE_OPERATIONS } from './cache/live-query-operators';
+import AttributeIndex from './cache/attribute-index';
+
+function isRecord(value) {
+  return isObject(value) && value.type !== undefined && value.id !== undefined;
+}
+
+// Returns `next` with any records that are equal to those in `previous`
+// replaced by the instances from `previous`, including those in nested
+// results (e.g. the `data` and `included` records of a query that includes
+// related records). If nothing at all has changed, `previous` itself is
+// returned.
+function shareUnchangedRecords(previous, next) {
+  if (isRecord(next)) {
+    return isRecord(previous) && eq(previous, next) ? previous : next;
+  }
+
+  if (isArray(next)) {
+    if (!isArray(previous)) { return next; }
+
+    const previousRecords = {};
+    previous.forEach(record => {
+      if (isRecord(record)) {
+        previousRecords[toIdentifier(record.type, record.id)] = record;
+      }
+    });
+
+    let changed = previous.length !== next.length;
+    const shared = next.map((item, i) => {
+      let value;
+      if (isRecord(item)) {
+        const previousRecord = previousRecords[toIdentifier(item.type, item.id)];
+        value = previousRecord && eq(previousRecord, item) ? previousRecord : item;
+      } else {
+        value = shareUnchangedRecords(previous[i], item);
+      }
+      if (value !== previous[i]) { changed = true; }
+      return value;
+    });
+
+    return changed ? shared : previous;
+  }
+
+  if (isObject(next)) {
+    if (!isObject(previous) || isArray(previous) || isRecord(previous)) { return next; }
+
+    const keys = Object.keys(next);
+    let changed = Object.keys(previous).length !== keys.length;
+    const shared = {};
+    keys.forEach(key => {
+      const value = shareUnchangedRecords(previous[key], next[key]);
+      if (value !== previous[key]) { changed = true; }
+      shared[key] = value;
+    });
+
+    return changed ? shared : previous;
+  }
+
+  return eq(previous, next) ? previous : next;
+}
+
+// Returns the `addRecord` operations for the records in query results, which
+// include the `index` of each record in ordered results.
+function addRecordOperations(result) {
+  if (!result) { return []; }
+
+  if (result.type && result.id) {
+    return [{ op: 'addRecord', record: result }];
+  }
+
+  if (isArray(result.data)) {
+    return result.data.map((record, index) => ({ op: 'addRecord', record, index }));
+  }
+
+  if (isArray(result)) {
+    return result.map((record, index) => ({ op: 'addRecord', record, index }));
+  }
+
+  const records = Object.keys(result).map(recordId => result[recordId]);
+  return records.map(record => ({ op: 'addRecord', record }));
+}
+
+// Normalizes a sort specifier, which is either an attribute name (prefixed
+// with `-` for descending order) or an `{ attribute, order }` object.
+function normalizeSortSpecifier(specifier) {
+  if (typeof specifier === 'string') {
+    if (specifier.charAt(0) === '-') {
+      return { attribute: specifier.slice(1), order: 'descending' };
+    }
+    return { attribute: specifier, order: 'ascending' };
+  }
+
+  return { attribute: specifier.attribute, order: specifier.order || 'ascending' };
+}
+
+// Returns the value of an attribute of an immutable record, as it's indexed.
+function indexedValue(record, attribute) {
+  const value = record.getIn(['attributes', attribute]);
+  return value && value.toJS ? value.toJS() : value;
+}
 
 /**
  `Cache` provides a thin wrapper over an internally maintained instance of a
@@ -30,7 +131,10 @@ import LiveQueryOperators from './cache/live-query-operators';
  @namespace OC
  @param {OC.Schema} schema
  @param {Object}  [options]
- @param {Array}   [options.processors=[SchemaConsistencyProcessor, CacheIntegrityProcessor]] Operation processors to notify for every call to `transform`.
+ @param {Array}   [options.processors=[SchemaConsistencyProcessor, CacheIntegrityProcessor]] Operation processors to notify for every call to `transform`. A forked cache uses the processors of its `base` by default.
+ @param {OC.Cache} [options.base] Cache to fork. The new cache starts with the base's document and the state of its processors, which it shares until either cache changes.
+ @param {Object}  [options.indexes] Attributes to index, as arrays of attribute names keyed by type (e.g. `{ planet: ['name'] }`). A forked cache inherits the indexes of its `base` by default.
+ @param {Object}  [options.defaultSort] Default order of unsorted query results, as sort specifiers keyed by type (e.g. `{ planet: ['-mass', 'name'] }`). Specifiers are attribute names, prefixed with `-` for descending order, or `{ attribute, order }` objects. Records are always ordered by type first and by id last. A forked cache inherits the default sorts of its `base` by default.
  @constructor
  */
 export default class Cache {
@@ -44,12 +148,50 @@ export default class Cache {
       this._doc = Immutable.fromJS({});
     }
 
+    const indexes = options.indexes || (options.base ? options.base._indexDefinitions() : {});
+    this._indexes = {};
+    Object.keys(indexes).forEach(type => {
+      this._indexes[type] = {};
+      indexes[type].forEach(attribute => {
+        const index = this._indexes[type][attribute] = new AttributeIndex(type, attribute);
+        const baseIndex = options.base && options.base.attributeIndex(type, attribute);
+
+        if (baseIndex) {
+          index.restore(baseIndex.snapshot());
+        } else {
+          this._buildIndex(index);
+        }
+      });
+    });
+
+    const defaultSort = options.defaultSort || (options.base ? options.base._defaultSort : {});
+    this._defaultSort = {};
+    Object.keys(defaultSort).forEach(type => {
+      const specifiers = isArray(defaultSort[type]) ? defaultSort[type] : [defaultSort[type]];
+      this._defaultSort[type] = specifiers.map(normalizeSortSpecifier);
+    });
+
     this.queryEvaluator = new QueryEvaluator(this, QueryOperators);
 
-    const processors = options.processors ? options.processors : [SchemaConsistencyProcessor, CacheIntegrityProcessor];
+    let processors;
+    if (options.processors) {
+      processors = options.processors;
+    } else if (options.base) {
+      processors = options.base._processors.map(processor => processor.constructor);
+    } else {
+      processors = [SchemaConsistencyProcessor, CacheIntegrityProcessor];
+    }
     this._processors = processors.map(Processor => new Processor(this));
+
+    if (options.base) {
+      this._inheritProcessorState(options.base);
+    }
     this.liveQueryEvaluator = new QueryEvaluator(this, LiveQueryOperators);
 
+    this._activeLiveQueries = 0;
+    this._dryRunOperations = null;
+    this._indexJournal = null;
+
     const events = Observable.fromOrbitEvent(this, 'patch');
     this.patches = CacheObservable.fromObservable(events, this);
   }
@@ -93,17 +235,85 @@ export default class Cache {
    cache.liveQuery(oqe('record', 'planet', 'idabc123')).then(operationsObservable => {});
    ```
 
+   Queries with ordered results (i.e. those that `sort`, `page` or are
+   `ordered`) emit
+   positional operations: `addRecord` and `removeRecord` operations include
+   the `index` of the record, and reordering emits `moveRecord` operations
+   with a `fromIndex` and `toIndex`. For pages selected with cursors, these
+   operations apply to the page's `data`. The results of these queries are
+   compared at the end of each call to `patch`, so only the net changes of
+   each patch are emitted.
+
+   By default, only operations that change which records are in the results
+   are emitted. Pass `updates: true` to also receive the operations that
+   change records already in the results (`replaceAttribute`, `replaceKey`
+   and relationship operations). These are emitted as applied to the cache,
+   so each identifies the changed field and its new value.
+
+   Records emitted for queries that select `fields` include only those
+   fields, and updates are only emitted for the selected fields.
+
+   Queries that `include` related records also emit operations for the
+   included records, which are flagged with `included: true`. These are
+   emitted as records are included or no longer included and, with
+   `updates: true`, as included records change.
+
+   Aggregate queries (i.e. `count`, `sum`, `min`, `max`, `avg` and `groupBy`)
+   emit `replaceAggregate` operations, which include the aggregate's `value`,
+   initially and at the end of each patch that changes the value.
+
+   Pass `batch: true` to receive the operations as arrays, with one array
+   for the initial results and one for each call to `patch` (i.e. each
+   transform applied by a store) that affects the results.
+
+   Alternatively, pass `snapshot: true` to receive the complete results of
+   the query, in the same form returned by `query`, initially and after each
+   call to `patch` that changes them. Records that are unchanged between
+   snapshots are shared by reference.
+
    @method liveQuery
    @param {Expression} query
+   @param {Object} [context]
+   @param {Object} [options]
+   @param {Boolean} [options.updates=false] Emit operations that update records in the results.
+   @param {Boolean} [options.batch=false] Emit operations in arrays, one per patch.
+   @param {Boolean} [options.snapshot=false] Emit complete results instead of operations.
    @return {Observable} stream of operations for the results to a query
    */
-  liveQuery(_query, context) {
+  liveQuery(_query, context, options = {}) {
     const query = Query.from(_query);
+
+    if (options.snapshot) {
+      return this._trackLiveQuery(this._liveQuerySnapshots(query, context));
+    }
+
     const results = this._initialLiveQueryResults(query, context);
+
+    let ops = ['addRecord', 'removeRecord', 'replaceRecord', 'moveRecord', 'replaceAggregate'];
+    if (options.updates) {
+      ops = ops.concat(UPDATE_OPERATIONS);
+    }
+
     const liveResults = this.liveQueryEvaluator.evaluate(query.expression, context)
-                            .matching({ op: ['addRecord', 'removeRecord', 'replaceRecord'] });
+                            .matching({ op: ops });
+
+    if (options.batch) {
+      const batches = CacheObservable.fromObservable(liveResults, this).batched();
+      return this._trackLiveQuery(results.length > 0 ? batches.startWith(results) : batches);
+    }
+
+    return this._trackLiveQuery(liveResults.startWith(...results));
+  }
 
-    return liveResults.startWith(...results);
+  /**
+   The number of subscriptions to live queries on this cache that have not
+   yet been unsubscribed (or completed).
+
+   @property activeLiveQueries
+   @type {Number}
+   */
+  get activeLiveQueries() {
+    return this._activeLiveQueries;
   }
 
   /**
@@ -123,12 +333,52 @@ export default class Cache {
   */
   reset(data = {}) {
     this._doc = Immutable.fromJS(data);
+    this._rebuildIndexes();
 
     this.keyMap.pushDocument(data);
 
     this._processors.forEach(processor => processor.reset(data));
   }
 
+  /**
+   Returns an opaque, immutable snapshot of the cache's current state, which
+   includes its document, its indexes and the state of its processors.
+
+   Taking a snapshot is cheap: the document is immutable, and indexes and
+   processors share their state with the snapshot until it is next changed.
+
+   @method snapshot
+   @returns {Object} snapshot to pass to `restore`
+   */
+  snapshot() {
+    const indexes = {};
+    this._eachIndex((index, type, attribute) => {
+      indexes[type] = indexes[type] || {};
+      indexes[type][attribute] = index.snapshot();
+    });
+
+    return Object.freeze({
+      doc: this._doc,
+      indexes: Object.freeze(indexes),
+      processors: Object.freeze(this._processors.map(processor => processor.snapshot()))
+    });
+  }
+
+  /**
+   Returns the cache to the state captured by `snapshot`.
+
+   As with `reset`, no `patch` events are emitted.
+
+   @method restore
+   @param {Object} snapshot A snapshot returned by `snapshot` on this cache.
+   */
+  restore(snapshot) {
+    this._doc = snapshot.doc;
+    this._eachIndex((index, type, attribute) => index.restore(snapshot.indexes[type][attribute]));
+
+    this._processors.forEach((processor, i) => processor.restore(snapshot.processors[i]));
+  }
+
   /**
    Return immutable data at a particular path.
 
@@ -208,42 +458,207 @@ export default class Cache {
     return !this.has(path);
   }
 
+  /**
+   Returns the index maintained for an attribute of a particular type, if
+   one has been declared through the `indexes` option.
+
+   @method attributeIndex
+   @param {String} type
+   @param {String} attribute
+   @returns {AttributeIndex} The index, or `undefined` if none exists.
+   */
+  attributeIndex(type, attribute) {
+    const indexesForType = this._indexes[type];
+    return indexesForType && indexesForType[attribute];
+  }
+
+  /**
+   Returns the default sort of a particular type, which orders its records
+   in unsorted query results before they are ordered by id.
+
+   @method defaultSort
+   @param {String} type
+   @returns {Array} Array of `{ attribute, order }` sort specifiers.
+   */
+  defaultSort(type) {
+    return this._defaultSort[type] || [];
+  }
+
   /**
    Patches the document with an operation.
 
+   A `beginPatch` event is emitted before any operations are applied and an
+   `endPatch` event after all of them, including those generated by
+   processors, have been applied. Both events receive the `transformId`, if
+   one was given, so that listeners can treat the `patch` events in between
+   as a single batch.
+
+   Patches are atomic. If any operation fails to apply, including those
+   generated by processors, the document and the state of all processors are
+   returned to how they were before the patch and the error is rethrown.
+   Inverses of the operations that had already been applied (and emitted)
+   are emitted, in reverse order, as `patch` events so that listeners can
+   revert them as well.
+
    @method patch
    @param {Object or Array} operationOrOperations The operation or operations to apply.
+   @param {String} [transformId] Id of the transform that the operations belong to.
    @returns {Array} Array of inverse operations.
    */
-  patch(operationOrOperations) {
+  patch(operationOrOperations, transformId) {
     const inverse = [];
+    const doc = this._doc;
 
-    if (isArray(operationOrOperations)) {
-      this._applyOperations(operationOrOperations, inverse);
-    } else {
-      this._applyOperation(operationOrOperations, inverse);
+    const indexJournal = this._indexJournal;
+
+    this.emit('beginPatch', transformId);
+
+    this._processors.forEach(processor => processor.beginTransaction());
+    this._indexJournal = {};
+
+    try {
+      if (isArray(operationOrOperations)) {
+        this._applyOperations(operationOrOperations, inverse);
+      } else {
+        this._applyOperation(operationOrOperations, inverse);
+      }
+    } catch (e) {
+      this._doc = doc;
+      this._processors.forEach(processor => processor.rollbackTransaction());
+      this._rollbackIndexes(indexJournal);
+
+      inverse.forEach(op => this.emit('patch', op));
+      this.emit('endPatch', transformId);
+
+      throw e;
     }
 
+    this._processors.forEach(processor => processor.commitTransaction());
+    this._commitIndexes(indexJournal);
+
+    this.emit('endPatch', transformId);
+
     return inverse;
   }
 
+  /**
+   Determines what a patch would change, without changing the document or
+   emitting any events.
+
+   The operations returned include those generated by processors (e.g. to
+   remove dependent records or references to removed records), in the order
+   in which they would be applied and emitted as `patch` events. Operations
+   that wouldn't change the document are omitted.
+
+   @method dryRun
+   @param {Object or Array} operationOrOperations The operation or operations to apply.
+   @returns {Object} The `operations` that would be applied and their `inverse`.
+   */
+  dryRun(operationOrOperations) {
+    const operations = [];
+    const inverse = [];
+    const doc = this._doc;
+    const indexJournal = this._indexJournal;
+
+    this._dryRunOperations = operations;
+
+    this._processors.forEach(processor => processor.beginTransaction());
+    this._indexJournal = {};
+
+    try {
+      if (isArray(operationOrOperations)) {
+        this._applyOperations(operationOrOperations, inverse);
+      } else {
+        this._applyOperation(operationOrOperations, inverse);
+      }
+    } finally {
+      this._dryRunOperations = null;
+      this._doc = doc;
+      this._processors.forEach(processor => processor.rollbackTransaction());
+      this._rollbackIndexes(indexJournal);
+    }
+
+    return { operations, inverse };
+  }
+
   /////////////////////////////////////////////////////////////////////////////
   // Private methods
   /////////////////////////////////////////////////////////////////////////////
 
   _initialLiveQueryResults(_query, context) {
-    const result = this.query(_query, context);
-
-    if (!result) { return []; }
+    const query = Query.from(_query);
+    const result = this.query(query, context);
 
-    if (result.type && result.id) {
-      return [{ op: 'addRecord', record: result }];
+    if (AGGREGATE_OPERATORS.indexOf(query.expression.op) !== -1) {
+      return [{ op: 'replaceAggregate', value: result }];
     }
 
-    if (result) {
-      const records = Object.keys(result).map(recordId => result[recordId]);
-      return records.map(record => ({ op: 'addRecord', record }));
+    if (result && isArray(result.included)) {
+      const included = result.included.map(record => ({ op: 'addRecord', record, included: true }));
+      return addRecordOperations(result.data).concat(included);
     }
+
+    return addRecordOperations(result);
+  }
+
+  _inheritProcessorState(base) {
+    this._processors.forEach(processor => {
+      const baseProcessor = base._processors.filter(p => p.constructor === processor.constructor)[0];
+
+      if (baseProcessor) {
+        processor.restore(baseProcessor.snapshot());
+      }
+    });
+  }
+
+  _trackLiveQuery(observable) {
+    const cache = this;
+
+    return Observable.create(function(observer) {
+      cache._activeLiveQueries++;
+
+      const subscription = observable.subscribe(observer);
+
+      return () => {
+        cache._activeLiveQueries--;
+        subscription.unsubscribe();
+      };
+    });
+  }
+
+  _liveQuerySnapshots(query, context) {
+    const cache = this;
+
+    return Observable.create(function(observer) {
+      let result;
+
+      try {
+        result = cache.query(query, context);
+      } catch (e) {
+        observer.error(e);
+        return;
+      }
+
+      observer.next(result);
+
+      const subscription = Observable.fromOrbitEvent(cache, 'endPatch').subscribe(() => {
+        let next;
+
+        try {
+          next = shareUnchangedRecords(result, cache.query(query, context));
+        } catch (e) {
+          observer.error(e);
+          return;
+        }
+
+        if (next !== result) {
+          result = next;
+          observer.next(result);
+        }
+      });
+
+      return () => subscription.unsubscribe();
+    });
   }
 
   _applyOperations(ops, inverse) {
@@ -252,11 +667,14 @@ export default class Cache {
 
   _applyOperation(operation, inverse) {
     const inverseTransform = InverseTransforms[ operation.op ];
+
+    if (!inverseTransform) {
+      throw new OperationNotAllowed(operation.op);
+    }
+
     const inverseOp = inverseTransform(this, operation);
 
     if (inverseOp) {
-      inverse.unshift(inverseOp);
-
       // Query and perform related `before` operations
       this._processors
           .map(processor => processor.before(operation))
@@ -266,8 +684,11 @@ export default class Cache {
       // the requested operation
       let relatedOps = this._processors.map(processor => processor.after(operation));
 
-      // Perform the requested operation
-      this._transformDoc(operation);
+      // Perform the requested operation, whose inverse is only recorded once
+      // it has been applied
+      if (this._transformDoc(operation)) {
+        inverse.unshift(inverseOp);
+      }
 
       // Perform related `after` operations after performing
       // the requested operation
@@ -288,14 +709,14 @@ export default class Cache {
 
     if (patchOp.op === 'remove') {
       if (this.hasDeleted(patchOp.path)) {
-        return;
+        return false;
       } else {
         this._doc = this._doc.deleteIn(patchOp.path);
       }
     } else if (patchOp.op === 'add' || patchOp.op === 'replace') {
       let currentVal = this.get(patchOp.path);
       if (eq(currentVal, patchOp.value)) {
-        return;
+        return false;
       } else {
         let value = patchOp.value;
 
@@ -309,9 +730,106 @@ export default class Cache {
       }
     }
 
+    this._updateIndexes(op);
+
     // console.debug('Cache#patch', op);
 
-    this.emit('patch', op);
+    if (this._dryRunOperations) {
+      this._dryRunOperations.push(op);
+    } else {
+      this.emit('patch', op);
+    }
+
+    return true;
+  }
+
+  _indexDefinitions() {
+    const definitions = {};
+    Object.keys(this._indexes).forEach(type => {
+      definitions[type] = Object.keys(this._indexes[type]);
+    });
+    return definitions;
+  }
+
+  _eachIndex(callback) {
+    Object.keys(this._indexes).forEach(type => {
+      Object.keys(this._indexes[type]).forEach(attribute => {
+        callback(this._indexes[type][attribute], type, attribute);
+      });
+    });
+  }
+
+  _rebuildIndexes() {
+    this._eachIndex(index => {
+      index.reset();
+      this._buildIndex(index);
+    });
+  }
+
+  _buildIndex(index) {
+    const records = this._doc.get(index.type);
+
+    if (records) {
+      records.forEach((record, id) => index.update(id, indexedValue(record, index.attribute)));
+    }
+  }
+
+  // Ends the index journal of a successful patch. When patches are nested, the
+  // records it reindexed are added to the journal of the enclosing patch.
+  _commitIndexes(outerJournal) {
+    const journal = this._indexJournal;
+    this._indexJournal = outerJournal;
+
+    if (outerJournal) {
+      extend(outerJournal, journal);
+    }
+  }
+
+  // Reindexes the records whose index entries have changed since the index
+  // journal was started, once the document has been restored, and then
+  // resumes the journal of the enclosing patch, if any.
+  _rollbackIndexes(outerJournal) {
+    const journal = this._indexJournal;
+    this._indexJournal = null;
+
+    Object.keys(journal).forEach(identifier => {
+      const { type, id } = journal[identifier];
+      this._reindexRecord(type, id);
+    });
+
+    this._indexJournal = outerJournal;
+  }
+
+  _updateIndexes(op) {
+    switch (op.op) {
+      case 'addRecord':
+      case 'replaceRecord':
+      case 'removeRecord':
+      case 'replaceAttribute':
+        this._reindexRecord(op.record.type, op.record.id);
+        break;
+    }
+  }
+
+  _reindexRecord(type, id) {
+    const indexesForType = this._indexes[type];
+    if (!indexesForType) { return; }
+
+    if (this._indexJournal) {
+      this._indexJournal[toIdentifier(type, id)] = { type, id };
+    }
+
+    const record = this._doc.getIn([type, id]);
+
+    Object.keys(indexesForType).forEach(attribute => {
+      const index = indexesForType[attribute];
+
+      if (record === undefined) {
+        index.remove(id);
+      } else {
+        index.update(id, indexedValue(record, attribute));
+      }
+    });
   }
 }
 
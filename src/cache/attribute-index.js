@@ -0,0 +1,169 @@
+/* globals Map, Set, WeakSet */
+
+/**
+ An index of the values of a single attribute across all records of a
+ particular type.
+
+ Indexes are declared through the `indexes` option of a `Cache` and are kept
+ current as operations are applied to the cache's document. They allow filter
+ and sort queries to look up attribute values without visiting every record.
+
+ @class AttributeIndex
+ @namespace OC
+ @param {String} type Type of model that is indexed.
+ @param {String} attribute Name of the indexed attribute.
+ @constructor
+ */
+export default class AttributeIndex {
+  constructor(type, attribute) {
+    this.type = type;
+    this.attribute = attribute;
+    this.reset();
+  }
+
+  /**
+   Removes all entries from the index.
+
+   @method reset
+   @returns {undefined}
+   */
+  reset() {
+    this._values = new Map();
+    this._ids = new Map();
+    this._shared = false;
+    this._ownedIds = null;
+  }
+
+  /**
+   Returns the entries of the index, which can be passed to `restore`.
+
+   Taking a snapshot is cheap: the entries are shared with the snapshot until
+   the index is next changed, when they are copied.
+
+   @method snapshot
+   @returns {Object} The index's entries, which must not be changed.
+   */
+  snapshot() {
+    this._shared = true;
+    return { values: this._values, ids: this._ids };
+  }
+
+  /**
+   Returns the index to the entries captured by `snapshot`.
+
+   @method restore
+   @param {Object} entries The entries returned by `snapshot`.
+   @returns {undefined}
+   */
+  restore({ values, ids }) {
+    this._values = values;
+    this._ids = ids;
+    this._shared = true;
+  }
+
+  /**
+   Returns whether a record with the given `id` has been indexed.
+
+   @method has
+   @param {String} id Record id.
+   @returns {Boolean} Whether the record has been indexed.
+   */
+  has(id) {
+    return this._values.has(id);
+  }
+
+  /**
+   Returns the indexed attribute value for a record.
+
+   @method valueFor
+   @param {String} id Record id.
+   @returns {*} The record's attribute value.
+   */
+  valueFor(id) {
+    return this._values.get(id);
+  }
+
+  /**
+   Returns the ids of all records whose attribute value is `value`.
+
+   @method idsFor
+   @param {*} value Attribute value.
+   @returns {Array} Array of record ids.
+   */
+  idsFor(value) {
+    const ids = this._ids.get(value);
+    return ids ? Array.from(ids) : [];
+  }
+
+  /**
+   Sets the attribute value for a record, replacing any previously indexed
+   value.
+
+   @method update
+   @param {String} id Record id.
+   @param {*} value The record's attribute value.
+   @returns {undefined}
+   */
+  update(id, value) {
+    this.remove(id);
+    this._own();
+
+    this._values.set(id, value);
+
+    let ids = this._writableIds(value);
+    if (ids === undefined) {
+      ids = new Set();
+      this._ids.set(value, ids);
+      if (this._ownedIds) { this._ownedIds.add(ids); }
+    }
+    ids.add(id);
+  }
+
+  /**
+   Removes a record from the index.
+
+   @method remove
+   @param {String} id Record id.
+   @returns {undefined}
+   */
+  remove(id) {
+    if (!this._values.has(id)) { return; }
+
+    this._own();
+
+    const value = this._values.get(id);
+    const ids = this._writableIds(value);
+
+    this._values.delete(id);
+
+    if (ids) {
+      ids.delete(id);
+      if (ids.size === 0) {
+        this._ids.delete(value);
+      }
+    }
+  }
+
+  // Copies the entries shared with a snapshot before they're first changed.
+  // The sets of ids for each value are only copied as they're changed.
+  _own() {
+    if (this._shared) {
+      this._values = new Map(this._values);
+      this._ids = new Map(this._ids);
+      this._ownedIds = new WeakSet();
+      this._shared = false;
+    }
+  }
+
+  _writableIds(value) {
+    let ids = this._ids.get(value);
+
+    if (ids && this._ownedIds && !this._ownedIds.has(ids)) {
+      ids = new Set(ids);
+      this._ids.set(value, ids);
+      this._ownedIds.add(ids);
+    }
+
+    return ids;
+  }
+}
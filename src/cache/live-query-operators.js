@@ -1,14 +1,317 @@
+import { isArray, extend } from 'orbit/lib/objects';
+import { eq } from 'orbit/lib/eq';
+import { toIdentifier } from 'orbit/lib/identifiers';
 import { queryExpression as oqe } from 'orbit/query/expression';
 import Query from 'orbit/query';
 import { Observable } from 'rxjs/Observable';
-import 'rxjs/add/operator/concat';
+import CacheObservable from './observables/cache-observable';
+import 'rxjs/add/operator/merge';
+import 'rxjs/add/operator/filter';
+import 'rxjs/add/operator/map';
 
-function addRecordOperation(record) {
-  return { op: 'addRecord', record };
+const POSITIONAL_OPERATIONS = ['addRecord', 'removeRecord', 'moveRecord'];
+
+export const UPDATE_OPERATIONS = [
+  'replaceAttribute',
+  'replaceKey',
+  'addToHasMany',
+  'removeFromHasMany',
+  'replaceHasMany',
+  'replaceHasOne'
+];
+
+function addRecordOperation(record, index) {
+  if (index === undefined) {
+    return { op: 'addRecord', record };
+  }
+  return { op: 'addRecord', record, index };
+}
+
+function removeRecordOperation(record, index) {
+  if (index === undefined) {
+    return { op: 'removeRecord', record };
+  }
+  return { op: 'removeRecord', record, index };
+}
+
+function moveRecordOperation(record, fromIndex, toIndex) {
+  return { op: 'moveRecord', record, fromIndex, toIndex };
+}
+
+function replaceAggregateOperation(value) {
+  return { op: 'replaceAggregate', value };
+}
+
+// Returns a copy of `record` that includes only the keys, attributes and
+// relationships named in `fields`.
+function sparseRecord(record, fields) {
+  const sparse = { type: record.type, id: record.id };
+
+  ['keys', 'attributes', 'relationships'].forEach(section => {
+    fields.forEach(field => {
+      if (record[section] && record[section][field] !== undefined) {
+        sparse[section] = sparse[section] || {};
+        sparse[section][field] = record[section][field];
+      }
+    });
+  });
+
+  return sparse;
+}
+
+// Returns the field changed by an update operation (see `UPDATE_OPERATIONS`).
+function updatedField(operation) {
+  return operation.attribute || operation.key || operation.relationship;
+}
+
+function identifierFor(record) {
+  return toIdentifier(record.type, record.id);
+}
+
+// Returns the indexes of a longest strictly increasing subsequence of `values`.
+function longestIncreasingSubsequence(values) {
+  const tails = [];
+  const predecessors = [];
+
+  values.forEach((value, i) => {
+    let low = 0;
+    let high = tails.length;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    predecessors[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const result = [];
+  let i = tails.length > 0 ? tails[tails.length - 1] : -1;
+  while (i !== -1) {
+    result.unshift(i);
+    i = predecessors[i];
+  }
+
+  return result;
+}
+
+// Returns the positional operations that transform the ordered `previous`
+// records into the ordered `next` records. Removals come first, then moves,
+// then additions. Each operation's indexes are relative to the result of
+// applying the operations that precede it.
+function orderedChanges(previous, next) {
+  const operations = [];
+  const nextIndexes = {};
+
+  next.forEach((record, index) => {
+    nextIndexes[identifierFor(record)] = index;
+  });
+
+  const identifiers = previous.map(identifierFor);
+
+  for (let i = identifiers.length - 1; i >= 0; i--) {
+    if (nextIndexes[identifiers[i]] === undefined) {
+      operations.push(removeRecordOperation(previous[i], i));
+      identifiers.splice(i, 1);
+    }
+  }
+
+  // Records in the longest run that is already in order keep their place
+  // and every other retained record is moved.
+  const stable = {};
+  longestIncreasingSubsequence(identifiers.map(identifier => nextIndexes[identifier]))
+    .forEach(i => { stable[identifiers[i]] = true; });
+
+  const retained = {};
+  identifiers.forEach(identifier => { retained[identifier] = true; });
+
+  let predecessor;
+  next.forEach(record => {
+    const identifier = identifierFor(record);
+
+    if (!retained[identifier]) { return; }
+
+    if (!stable[identifier]) {
+      const fromIndex = identifiers.indexOf(identifier);
+      identifiers.splice(fromIndex, 1);
+
+      const toIndex = predecessor === undefined ? 0 : identifiers.indexOf(predecessor) + 1;
+      identifiers.splice(toIndex, 0, identifier);
+
+      if (fromIndex !== toIndex) {
+        operations.push(moveRecordOperation(record, fromIndex, toIndex));
+      }
+    }
+
+    predecessor = identifier;
+  });
+
+  next.forEach((record, index) => {
+    if (!retained[identifierFor(record)]) {
+      operations.push(addRecordOperation(record, index));
+    }
+  });
+
+  return operations;
+}
+
+// Returns the ordered records of a query, whose results are either an array
+// or a page of results that includes an array of `data`.
+function orderedRecords(cache, expression, context) {
+  const results = cache.query(new Query(expression), context);
+  return isArray(results) ? results : results.data;
+}
+
+// Returns the `operations` that arrive during each call to `patch` as an
+// array, once the patch has ended, so that queries can be re-evaluated once
+// per patch rather than once per operation.
+function patchedOperations(cache, operations) {
+  return CacheObservable.fromObservable(operations, cache).batched();
+}
+
+// Returns the operations in `operations` on records that are members of both
+// `previous` and `next`, which are keyed by identifier.
+function retainedOperations(operations, previous, next) {
+  return operations.filter(operation => {
+    if (!operation.record || POSITIONAL_OPERATIONS.indexOf(operation.op) !== -1) {
+      return false;
+    }
+
+    const identifier = identifierFor(operation.record);
+    return previous[identifier] && next[identifier];
+  });
 }
 
-function removeRecordOperation(record) {
-  return { op: 'removeRecord', record };
+function membersOf(records) {
+  const members = {};
+  records.forEach(record => { members[identifierFor(record)] = record; });
+  return members;
+}
+
+// Re-evaluates the ordered query `expression` after each patch in which
+// operations arrive from `operations`, and emits the positional changes to
+// its results. Other operations on records that remain in the results are
+// passed through.
+function orderedResults(cache, expression, context, operations) {
+  return Observable.create(function(observer) {
+    let results = orderedRecords(cache, expression, context);
+
+    const subscription = patchedOperations(cache, operations).subscribe(
+      batch => {
+        let next;
+
+        try {
+          next = orderedRecords(cache, expression, context);
+        } catch (e) {
+          observer.error(e);
+          return;
+        }
+
+        const changes = orderedChanges(results, next);
+        changes.forEach(change => observer.next(change));
+
+        retainedOperations(batch, membersOf(results), membersOf(next))
+          .forEach(operation => observer.next(operation));
+
+        results = next;
+      },
+      error => observer.error(error),
+      () => observer.complete()
+    );
+
+    return () => subscription.unsubscribe();
+  });
+}
+
+// Re-evaluates the aggregate query `expression` after each patch in which
+// operations arrive from `operations`, which are those that affect the
+// records it aggregates, and emits a `replaceAggregate` operation whenever
+// its value changes.
+function aggregateResults(cache, expression, context, operations) {
+  return Observable.create(function(observer) {
+    let value = cache.query(new Query(expression), context);
+
+    const subscription = patchedOperations(cache, operations).subscribe(
+      () => {
+        let next;
+
+        try {
+          next = cache.query(new Query(expression), context);
+        } catch (e) {
+          observer.error(e);
+          return;
+        }
+
+        if (!eq(value, next)) {
+          value = next;
+          observer.next(replaceAggregateOperation(value));
+        }
+      },
+      error => observer.error(error),
+      () => observer.complete()
+    );
+
+    return () => subscription.unsubscribe();
+  });
+}
+
+// Re-evaluates the records included by the query `expression` after each
+// patch, and emits `addRecord` and `removeRecord` operations as records are
+// included and no longer included. Operations on records that remain
+// included are passed through. Each operation is flagged `included`.
+function includedResults(cache, expression, context) {
+  return Observable.create(function(observer) {
+    const includedBy = results => membersOf(results.included);
+
+    let included = includedBy(cache.query(new Query(expression), context));
+
+    const subscription = cache.patches.batched().subscribe(
+      batch => {
+        let next;
+
+        try {
+          next = includedBy(cache.query(new Query(expression), context));
+        } catch (e) {
+          observer.error(e);
+          return;
+        }
+
+        Object.keys(included).forEach(identifier => {
+          if (!next[identifier]) {
+            observer.next({ op: 'removeRecord', record: included[identifier], included: true });
+          }
+        });
+
+        Object.keys(next).forEach(identifier => {
+          if (!included[identifier]) {
+            observer.next({ op: 'addRecord', record: next[identifier], included: true });
+          }
+        });
+
+        retainedOperations(batch, included, next)
+          .forEach(operation => observer.next(extend({}, operation, { included: true })));
+
+        included = next;
+      },
+      error => observer.error(error),
+      () => observer.complete()
+    );
+
+    return () => subscription.unsubscribe();
+  });
+}
+
+function aggregateOperator(op) {
+  return function(context, select, ...args) {
+    const operations = this.evaluate(select, context);
+
+    return aggregateResults(this.target, oqe(op, select, ...args), context, operations);
+  };
 }
 
 export default {
@@ -19,23 +322,63 @@ export default {
   relatedRecord(context, recordIdentity, relationship) {
     const hasOne = this.target.patches.forHasOne(recordIdentity, relationship);
     const changes = hasOne.relationshipChanges();
-    const patches = hasOne.relatedRecord({ initial: true }).patches();
+    const patches = hasOne.relatedRecord({ initial: true }).patches().matching({ op: UPDATE_OPERATIONS });
 
-    return changes.concat(patches);
+    return changes.merge(patches);
   },
 
   relatedRecords(context, recordIdentity, relationship) {
     const hasMany = this.target.patches.forHasMany(recordIdentity, relationship);
     const changes = hasMany.relationshipChanges();
-    const patches = hasMany.relatedRecords({ initial: true }).patches();
+    const patches = hasMany.relatedRecords({ initial: true }).patches().matching({ op: UPDATE_OPERATIONS });
 
-    return changes.concat(patches);
+    return changes.merge(patches);
   },
 
   record(context, recordIdentity) {
     return this.target.patches.matching({ record: recordIdentity });
   },
 
+  sort(context, select, sortExpressions) {
+    const operations = this.evaluate(select, context);
+
+    return orderedResults(this.target, oqe('sort', select, sortExpressions), context, operations);
+  },
+
+  fields(context, select, fieldsByType) {
+    const operations = this.evaluate(select, context);
+    const fieldsFor = operation => operation.record && fieldsByType[operation.record.type];
+
+    return operations
+      .filter(operation => {
+        const fields = fieldsFor(operation);
+        return !fields || UPDATE_OPERATIONS.indexOf(operation.op) === -1 || fields.indexOf(updatedField(operation)) !== -1;
+      })
+      .map(operation => {
+        const fields = fieldsFor(operation);
+        if (!fields || UPDATE_OPERATIONS.indexOf(operation.op) !== -1) { return operation; }
+        return extend({}, operation, { record: sparseRecord(operation.record, fields) });
+      });
+  },
+
+  include(context, select, paths) {
+    const operations = this.evaluate(select, context);
+
+    return operations.merge(includedResults(this.target, oqe('include', select, paths), context));
+  },
+
+  ordered(context, select) {
+    const operations = this.evaluate(select, context);
+
+    return orderedResults(this.target, oqe('ordered', select), context, operations);
+  },
+
+  page(context, select, options) {
+    const operations = this.evaluate(select, context);
+
+    return orderedResults(this.target, oqe('page', select, options), context, operations);
+  },
+
   filter(context, operationsExpression, filterExpression) {
     const cache = this.target;
     const operations = this.evaluate(operationsExpression);
@@ -54,7 +397,7 @@ export default {
         observer.next(removeRecordOperation(record));
       }
 
-      operations.subscribe(
+      const subscription = operations.subscribe(
         operation => {
           const { type, id: recordId } = operation.record;
           const record = cache.get([type, recordId]);
@@ -82,12 +425,21 @@ export default {
           }
         },
         error => {
-          observer.onError(error);
+          observer.error(error);
         },
         () => {
-          observer.onCompleted();
+          observer.complete();
         }
       );
+
+      return () => subscription.unsubscribe();
     });
-  }
+  },
+
+  count: aggregateOperator('count'),
+  sum: aggregateOperator('sum'),
+  min: aggregateOperator('min'),
+  max: aggregateOperator('max'),
+  avg: aggregateOperator('avg'),
+  groupBy: aggregateOperator('groupBy')
 };
@@ -4,6 +4,7 @@ import 'rxjs/add/operator/filter';
 import HasOneObservable from './has-one-observable';
 import HasManyObservable from './has-many-observable';
 import '../../rxjs/add/operator/matching';
+import '../../rxjs/add/observable/from-orbit-event';
 
 export default class CacheObservable extends Observable {
   constructor(subscribe, cache) {
@@ -31,6 +32,35 @@ export default class CacheObservable extends Observable {
     return HasManyObservable.fromObservable(this, this.cache, record, relationship);
   }
 
+  // Emits the values from each call to `Cache#patch` together, as an array,
+  // once the patch ends. Patches that produce no values emit nothing.
+  batched() {
+    const source = this;
+    const cache = this.cache;
+
+    return Observable.create(function(observer) {
+      let batch = [];
+
+      const subscription = source.subscribe(
+        value => batch.push(value),
+        error => observer.error(error)
+      );
+
+      const ends = Observable.fromOrbitEvent(cache, 'endPatch').subscribe(() => {
+        if (batch.length > 0) {
+          const values = batch;
+          batch = [];
+          observer.next(values);
+        }
+      });
+
+      return () => {
+        subscription.unsubscribe();
+        ends.unsubscribe();
+      };
+    });
+  }
+
   static fromObservable(observable, cache) {
     return new CacheObservable(observable.subscribe.bind(observable), cache);
   }
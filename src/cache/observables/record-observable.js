@@ -3,6 +3,8 @@ import 'rxjs/add/operator/filter';
 import 'rxjs/add/operator/map';
 import 'rxjs/add/operator/mergeMap';
 import 'rxjs/add/operator/concatAll';
+import 'rxjs/add/operator/switch';
+import 'rxjs/add/observable/empty';
 import '../../rxjs/add/operator/matching';
 import CacheObservable from './cache-observable';
 
@@ -22,6 +24,8 @@ export default class RecordObservable extends Observable {
 
   patches() {
     const recordPatches = this.map(record => {
+      if (!record) { return Observable.empty(); }
+
       return this.cache.patches.matching({ record: { id: record.id } });
     }).switch();
 
@@ -1,4 +1,5 @@
-import { isObject } from 'orbit/lib/objects';
+/* globals WeakSet */
+import { isObject, extend } from 'orbit/lib/objects';
 import { toIdentifier, parseIdentifier } from 'orbit/lib/identifiers';
 import OperationProcessor from './operation-processor';
 
@@ -20,10 +21,14 @@ export default class CacheIntegrityProcessor extends OperationProcessor {
   constructor(cache) {
     super(cache);
     this._rev = {};
+    this._owned = null;
+    this._journal = null;
+    this._outerJournals = [];
   }
 
   reset(data) {
     this._rev = {};
+    this._owned = null;
 
     if (data) {
       Object.keys(data).forEach((type) => {
@@ -35,6 +40,59 @@ export default class CacheIntegrityProcessor extends OperationProcessor {
     }
   }
 
+  snapshot() {
+    // The reverse links are now shared with the snapshot, so any changes to
+    // them must be made to copies.
+    this._owned = new WeakSet();
+    return this._rev;
+  }
+
+  restore(rev) {
+    this._rev = rev;
+    this._owned = new WeakSet();
+  }
+
+  beginTransaction() {
+    this._outerJournals.push(this._journal);
+    this._journal = {};
+  }
+
+  commitTransaction() {
+    const journal = this._journal;
+    this._journal = this._outerJournals.pop();
+
+    if (!this._journal) { return; }
+
+    Object.keys(journal).forEach(key => {
+      if (this._journal[key] === undefined) {
+        this._journal[key] = journal[key];
+      }
+    });
+  }
+
+  rollbackTransaction() {
+    const journal = this._journal;
+    this._journal = this._outerJournals.pop();
+
+    if (!journal) { return; }
+
+    Object.keys(journal).forEach(identifier => {
+      const { type, id, typeExisted, rev } = journal[identifier];
+
+      const revForType = this._rev[type];
+
+      if (!typeExisted) {
+        delete this._rev[type];
+      } else if (revForType === undefined) {
+        return;
+      } else if (rev === undefined) {
+        delete revForType[id];
+      } else {
+        revForType[id] = rev;
+      }
+    });
+  }
+
   after(operation) {
     switch (operation.op) {
       case 'replaceHasOne':
@@ -193,15 +251,60 @@ export default class CacheIntegrityProcessor extends OperationProcessor {
   }
 
   _revLink(record) {
-    let revForType = this._rev[record.type];
-    if (revForType === undefined) {
-      revForType = this._rev[record.type] = {};
+    this._journalRevLink(record);
+
+    if (!this._isOwned(this._rev)) {
+      this._rev = this._own(extend({}, this._rev));
     }
-    let rev = revForType[record.id];
-    if (rev === undefined) {
-      rev = revForType[record.id] = {};
+
+    const revForType = this._ownedChild(this._rev, record.type);
+    return this._ownedChild(revForType, record.id);
+  }
+
+  _isOwned(object) {
+    return this._owned === null || this._owned.has(object);
+  }
+
+  _own(object) {
+    if (this._owned !== null) {
+      this._owned.add(object);
+    }
+    return object;
+  }
+
+  // Returns `parent[key]`, creating it or replacing it with a copy if it is
+  // shared with a snapshot.
+  _ownedChild(parent, key) {
+    let child = parent[key];
+
+    if (child === undefined) {
+      child = parent[key] = this._own({});
+    } else if (!this._isOwned(child)) {
+      child = parent[key] = this._own(extend({}, child));
+    }
+
+    return child;
+  }
+
+  // Records the state of a record's reverse links the first time they are
+  // accessed in a transaction, so that they can be restored on rollback.
+  _journalRevLink(record) {
+    if (!this._journal) { return; }
+
+    const { type, id } = record;
+    const identifier = toIdentifier(type, id);
+
+    if (this._journal[identifier] === undefined) {
+      const revForType = this._rev[type];
+      const rev = revForType && revForType[id];
+
+      this._journal[identifier] = {
+        type,
+        id,
+        typeExisted: revForType !== undefined,
+        rev: rev && extend({}, rev)
+      };
     }
-    return rev;
   }
 
   _addAllRevLinks(record) {
@@ -1,4 +1,4 @@
-import { isArray, expose } from 'orbit/lib/objects';
+import { isArray, expose, extend } from 'orbit/lib/objects';
 import OperationProcessor from './operation-processor';
 
 /**
@@ -20,6 +20,9 @@ export default class DeletionTrackingProcessor extends OperationProcessor {
   constructor(cache) {
     super(cache);
     this._del = {};
+    this._shared = false;
+    this._journal = null;
+    this._outerJournals = [];
     expose(cache, this, 'hasDeleted');
   }
 
@@ -30,15 +33,74 @@ export default class DeletionTrackingProcessor extends OperationProcessor {
 
   reset() {
     this._del = {};
+    this._shared = false;
+  }
+
+  snapshot() {
+    this._shared = true;
+    return this._del;
+  }
+
+  restore(del) {
+    this._del = del;
+    this._shared = true;
+  }
+
+  beginTransaction() {
+    this._outerJournals.push(this._journal);
+    this._journal = {};
+  }
+
+  commitTransaction() {
+    const journal = this._journal;
+    this._journal = this._outerJournals.pop();
+
+    if (!this._journal) { return; }
+
+    Object.keys(journal).forEach(key => {
+      if (this._journal[key] === undefined) {
+        this._journal[key] = journal[key];
+      }
+    });
+  }
+
+  rollbackTransaction() {
+    const journal = this._journal;
+    this._journal = this._outerJournals.pop();
+
+    if (!journal) { return; }
+
+    const del = this._writableDeletions();
+
+    Object.keys(journal).forEach(path => {
+      if (journal[path]) {
+        del[path] = true;
+      } else {
+        delete del[path];
+      }
+    });
   }
 
   finally(operation) {
     if (operation.op === 'removeRecord') {
       const { type, id } = operation.record;
       const serializedPath = [type, id].join('/');
-      this._del[serializedPath] = true;
+
+      if (this._journal && this._journal[serializedPath] === undefined) {
+        this._journal[serializedPath] = !!this._del[serializedPath];
+      }
+
+      this._writableDeletions()[serializedPath] = true;
     }
 
     return [];
   }
+
+  _writableDeletions() {
+    if (this._shared) {
+      this._del = extend({}, this._del);
+      this._shared = false;
+    }
+    return this._del;
+  }
 }
@@ -53,6 +53,51 @@ export default class OperationProcessor {
     return [];
   }
 
+  /**
+   Called when a snapshot of a cache is taken.
+
+   Return a value that captures the processor's internal state. It will be
+   passed to `restore` if the snapshot is restored, so it must not be changed
+   by the processor afterwards.
+
+   @return {Object} the processor's state
+   */
+  snapshot() {}
+
+  /**
+   Called when a snapshot of a cache is restored.
+
+   @param  {Object} [state] the value returned by `snapshot`
+   */
+  restore(/* state */) {}
+
+  /**
+   Called when a cache begins to apply a set of operations that should be
+   treated atomically.
+
+   Any changes to the processor's internal state after this call must be
+   revertible by `rollbackTransaction`.
+
+   Transactions may be nested, such as when a cache's `dryRun` is called
+   from a `patch` listener. A nested transaction that is committed becomes
+   part of the enclosing transaction, which can still be rolled back.
+   */
+  beginTransaction() {}
+
+  /**
+   Called when all the operations in a transaction have been applied
+   successfully.
+   */
+  commitTransaction() {}
+
+  /**
+   Called when applying the operations in a transaction has failed.
+
+   The processor's internal state should be returned to how it was when
+   `beginTransaction` was called.
+   */
+  rollbackTransaction() {}
+
   /**
    Called **AFTER** an `operation` and any related operations have been
    applied.
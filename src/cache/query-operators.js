@@ -1,9 +1,419 @@
-import { isArray, merge } from 'orbit/lib/objects';
+import { isArray, isObject, merge, extend } from 'orbit/lib/objects';
 import { every, some } from 'orbit/lib/arrays';
 import { QueryExpressionParseError, RecordNotFoundException } from 'orbit/lib/exceptions';
+import { toIdentifier, identity } from 'orbit/lib/identifiers';
+import { isQueryExpression } from 'orbit/query/expression';
 
 const EMPTY = () => {};
 
+// Operators that reduce the records selected by their first argument to a
+// single value.
+export const AGGREGATE_OPERATORS = ['count', 'sum', 'min', 'max', 'avg', 'groupBy'];
+
+// Returns whether `results` are a page of results selected with cursors,
+// which includes an array of `data`.
+function isPageResults(results) {
+  return isObject(results) && !isArray(results) && isArray(results.data);
+}
+
+// Returns the records in the results of `records`, `filter`, `sort`, `page`
+// or `relatedRecords`, which are either arrays, objects keyed by id or pages
+// of results selected with cursors.
+function recordsIn(results) {
+  if (isArray(results)) { return results; }
+  if (isPageResults(results)) { return results.data; }
+  return Object.keys(results || {}).map(id => results[id]);
+}
+
+function attributeValue(record, attribute) {
+  return record.attributes && record.attributes[attribute];
+}
+
+// Returns the values of an attribute, excluding any that are missing.
+function attributeValues(records, attribute) {
+  return records
+    .map(record => attributeValue(record, attribute))
+    .filter(value => value !== undefined && value !== null);
+}
+
+function attributeIndexFor(cache, type, expression) {
+  if (isQueryExpression(expression) && expression.op === 'attribute') {
+    return cache.attributeIndex(type, expression.args[0]);
+  }
+}
+
+function indexLookup(cache, type, attributeExpression, value) {
+  const index = attributeIndexFor(cache, type, attributeExpression);
+
+  if (index && !isQueryExpression(value)) {
+    return index.idsFor(value);
+  }
+}
+
+function indexedIds(cache, type, expression) {
+  if (!isQueryExpression(expression)) { return; }
+
+  const args = expression.args;
+
+  switch (expression.op) {
+    case 'equal':
+      if (args.length === 2) {
+        return indexLookup(cache, type, args[0], args[1]) ||
+               indexLookup(cache, type, args[1], args[0]);
+      }
+      return;
+
+    case 'in': {
+      const index = attributeIndexFor(cache, type, args[0]);
+
+      if (index && isArray(args[1])) {
+        const ids = {};
+        args[1].forEach(value => {
+          index.idsFor(value).forEach(id => { ids[id] = true; });
+        });
+        return Object.keys(ids);
+      }
+      return;
+    }
+
+    case 'and':
+      for (let i = 0; i < args.length; i++) {
+        const ids = indexedIds(cache, type, args[i]);
+        if (ids) { return ids; }
+      }
+      return;
+  }
+}
+
+// Returns the ids of the only records that could possibly match `where`, if
+// they can be determined from an attribute index. The full `where` expression
+// must still be evaluated against each candidate.
+function indexedCandidates(cache, select, where) {
+  if (isQueryExpression(select) && select.op === 'records') {
+    return indexedIds(cache, select.args[0], where);
+  }
+}
+
+function recordsForIds(cache, type, ids) {
+  const records = {};
+
+  ids.forEach(id => {
+    const record = cache.get([type, id]);
+    if (record) {
+      records[id] = record;
+    }
+  });
+
+  return records;
+}
+
+// Returns the identifiers of the records related through `relationship` to the
+// record at the context's `basePath`. Works for both hasOne and hasMany data.
+function relatedIdentifiers(cache, context, relationship) {
+  const path = (context.basePath || []).concat(['relationships', relationship, 'data']);
+  const data = cache.get(path);
+
+  if (isObject(data)) {
+    return Object.keys(data);
+  } else if (typeof data === 'string') {
+    return [data];
+  } else {
+    return [];
+  }
+}
+
+function sortIndex(cache, basePath, field) {
+  if (basePath && basePath.length === 1) {
+    return attributeIndexFor(cache, basePath[0], field);
+  }
+}
+
+function sortOrders(sortExpressions) {
+  return sortExpressions.map(sortExpression => sortExpression.order === 'descending' ? -1 : 1);
+}
+
+function compareSortValues(values1, values2, orders) {
+  for (let i = 0; i < orders.length; i++) {
+    if (values1[i] < values2[i]) {
+      return -orders[i];
+    }
+    if (values1[i] > values2[i]) {
+      return orders[i];
+    }
+  }
+  return 0;
+}
+
+function compareStrings(string1, string2) {
+  if (string1 < string2) { return -1; }
+  if (string1 > string2) { return 1; }
+  return 0;
+}
+
+// Returns the default order of records (see `defaultOrder`) as the sort values
+// of each record, which end with the record's id, and a comparison of them.
+function defaultOrdering(cache) {
+  return {
+    valuesFor(record) {
+      const values = cache.defaultSort(record.type).map(({ attribute }) => attributeValue(record, attribute));
+      return [record.type].concat(values, record.id);
+    },
+
+    compare(values1, values2) {
+      const orders = sortOrders(cache.defaultSort(values1[0])).concat(1);
+      return compareStrings(values1[0], values2[0]) ||
+             compareSortValues(values1.slice(1), values2.slice(1), orders);
+    }
+  };
+}
+
+// Returns the order of records sorted by `sort` as the sort values of each
+// record, which end with the record's id, and a comparison of them.
+function sortOrdering(evaluator, context, sortExpressions) {
+  const orders = sortOrders(sortExpressions).concat(1);
+
+  return {
+    valuesFor(record) {
+      const basePath = [record.type, record.id];
+      return sortExpressions.map(sortExpression => {
+        return evaluator.evaluate(sortExpression.field, merge(context, { basePath }));
+      }).concat(record.id);
+    },
+
+    compare(values1, values2) {
+      return compareSortValues(values1, values2, orders);
+    }
+  };
+}
+
+// Returns the records in `results` in their default order: by type, then by
+// each type's default sort (see `Cache#defaultSort`) and finally by id. Arrays
+// (and the `data` of pages) are assumed to be ordered already and are returned
+// as-is, while a single record (or none) becomes an array of one (or no)
+// records.
+function defaultOrder(cache, results) {
+  if (isArray(results)) { return results; }
+  if (isPageResults(results)) { return results.data; }
+  if (results === undefined || results === null) { return []; }
+  if (isRecordIdentity(results)) { return [results]; }
+
+  const ordering = defaultOrdering(cache);
+  const sortValues = {};
+  const valuesFor = record => {
+    const identifier = toIdentifier(record.type, record.id);
+    if (!sortValues[identifier]) {
+      sortValues[identifier] = ordering.valuesFor(record);
+    }
+    return sortValues[identifier];
+  };
+
+  return recordsIn(results).sort((record1, record2) => ordering.compare(valuesFor(record1), valuesFor(record2)));
+}
+
+const RECORD_FIELD_SECTIONS = ['keys', 'attributes', 'relationships'];
+
+// Returns the record at `type`/`id`, which includes only the keys, attributes
+// and relationships named for its type in `fieldsByType`. Only these fields are
+// converted from the cache's document. Records of types that aren't named in
+// `fieldsByType` are returned in full.
+function sparseRecord(cache, type, id, fieldsByType) {
+  const fields = fieldsByType[type];
+
+  if (fields === undefined) {
+    return cache.get([type, id]);
+  }
+
+  const data = cache.getRaw([type, id]);
+
+  if (!data) { return data; }
+
+  const record = { type, id };
+
+  RECORD_FIELD_SECTIONS.forEach(section => {
+    fields.forEach(field => {
+      let value = data.getIn([section, field]);
+
+      if (value !== undefined) {
+        if (value && value.toJS) {
+          value = value.toJS();
+        }
+        record[section] = record[section] || {};
+        record[section][field] = value;
+      }
+    });
+  });
+
+  return record;
+}
+
+// Evaluates `select`, but returns record identities in place of records that
+// can be identified without converting them from the cache's document.
+function selectedIdentities(evaluator, context, select) {
+  const cache = evaluator.target;
+  const args = select.args;
+
+  switch (select.op) {
+    case 'records': {
+      const type = args[0];
+      const records = cache.getRaw([type]);
+      const identities = {};
+
+      context.basePath = [type];
+
+      if (records) {
+        records.keySeq().forEach(id => { identities[id] = { type, id }; });
+      }
+      return identities;
+    }
+
+    case 'record': {
+      const { type, id } = args[0];
+
+      if (!cache.getRaw([type, id])) {
+        throw new RecordNotFoundException(type, id);
+      }
+      return { type, id };
+    }
+
+    case 'relatedRecords': {
+      const identities = {};
+
+      relatedIdentifiers(cache, { basePath: [args[0].type, args[0].id] }, args[1]).forEach(identifier => {
+        const [type, id] = identifier.split(':');
+        identities[id] = { type, id };
+      });
+      return identities;
+    }
+
+    case 'relatedRecord': {
+      const [identifier] = relatedIdentifiers(cache, { basePath: [args[0].type, args[0].id] }, args[1]);
+
+      if (!identifier) { return null; }
+
+      const [type, id] = identifier.split(':');
+      return { type, id };
+    }
+
+    default:
+      return evaluator.evaluate(select, context);
+  }
+}
+
+// Applies `callback` to each record in query results, which are a single
+// record (or none), an array or object of records, a page of results or
+// results with `included` records.
+function mapRecords(results, callback) {
+  if (results === undefined || results === null) { return results; }
+  if (isArray(results)) { return results.map(callback); }
+  if (isArray(results.included)) {
+    return extend({}, results, { data: mapRecords(results.data, callback), included: results.included.map(callback) });
+  }
+  if (isArray(results.data)) { return extend({}, results, { data: results.data.map(callback) }); }
+  if (isRecordIdentity(results)) { return callback(results); }
+
+  const mapped = {};
+  Object.keys(results).forEach(key => { mapped[key] = callback(results[key]); });
+  return mapped;
+}
+
+// Returns the records related to the `primary` records through each of the
+// relationship `paths` (e.g. `moons.planet`), in the order in which they're
+// reached. Primary records are never included, nor is any record included
+// more than once.
+function includedRecords(cache, primary, paths) {
+  const reached = {};
+  const included = [];
+
+  primary.forEach(record => { reached[toIdentifier(record.type, record.id)] = true; });
+
+  paths.forEach(path => {
+    let identities = primary;
+
+    path.split('.').forEach(relationship => {
+      const next = {};
+
+      identities.forEach(({ type, id }) => {
+        const relationships = cache.schema.modelDefinition(type).relationships;
+
+        if (!relationships || !relationships[relationship]) {
+          throw new QueryExpressionParseError(`Relationship \`${relationship}\` of \`${type}\` cannot be included because it is not defined.`);
+        }
+
+        relatedIdentifiers(cache, { basePath: [type, id] }, relationship).forEach(identifier => {
+          next[identifier] = true;
+        });
+      });
+
+      identities = [];
+
+      Object.keys(next).forEach(identifier => {
+        const [type, id] = identifier.split(':');
+
+        identities.push({ type, id });
+
+        if (!reached[identifier]) {
+          const record = cache.get([type, id]);
+
+          reached[identifier] = true;
+          if (record) {
+            included.push(record);
+          }
+        }
+      });
+    });
+  });
+
+  return included;
+}
+
+const CURSOR_OPTIONS = ['after', 'before', 'first', 'last'];
+
+function isCursorPagination(options) {
+  return some(CURSOR_OPTIONS, option => options[option] !== undefined);
+}
+
+function isRecordIdentity(cursor) {
+  return isObject(cursor) && !isArray(cursor) && cursor.type !== undefined && cursor.id !== undefined;
+}
+
+// Returns the position in the ordered `records` of a cursor, which is either a
+// record identity or an array of sort values (see `sortOrdering` and
+// `defaultOrdering`). Sort values may omit the trailing record id, in which
+// case records with equal sort values are all positioned on the same side of
+// the cursor. With `inclusive`, records that are equal to the cursor are
+// positioned after it.
+function cursorPosition(ordering, records, cursor, inclusive) {
+  if (isRecordIdentity(cursor)) {
+    const identifier = toIdentifier(cursor.type, cursor.id);
+
+    for (let i = 0; i < records.length; i++) {
+      if (toIdentifier(records[i].type, records[i].id) === identifier) {
+        return inclusive ? i : i + 1;
+      }
+    }
+
+    throw new RecordNotFoundException(cursor.type, cursor.id);
+  }
+
+  if (!isArray(cursor)) {
+    throw new QueryExpressionParseError('Pagination cursors must be either record identities or arrays of sort values.');
+  }
+
+  if (!ordering) {
+    throw new QueryExpressionParseError('Query results cannot be paginated by sort values without specifying a sort order.');
+  }
+
+  for (let i = 0; i < records.length; i++) {
+    const comparison = ordering.compare(ordering.valuesFor(records[i]), cursor);
+
+    if (comparison > 0 || (inclusive && comparison === 0)) {
+      return i;
+    }
+  }
+
+  return records.length;
+}
+
 export default {
   and(context, ...expressions) {
     return every(expressions, (exp) => this.evaluate(exp, context));
@@ -26,8 +436,61 @@ export default {
     });
   },
 
+  notEqual(context, left, right) {
+    return this.evaluate(left, context) !== this.evaluate(right, context);
+  },
+
+  gt(context, left, right) {
+    return this.evaluate(left, context) > this.evaluate(right, context);
+  },
+
+  gte(context, left, right) {
+    return this.evaluate(left, context) >= this.evaluate(right, context);
+  },
+
+  lt(context, left, right) {
+    return this.evaluate(left, context) < this.evaluate(right, context);
+  },
+
+  lte(context, left, right) {
+    return this.evaluate(left, context) <= this.evaluate(right, context);
+  },
+
+  in(context, expression, values) {
+    const value = this.evaluate(expression, context);
+    const candidates = this.evaluate(values, context);
+
+    return isArray(candidates) && candidates.indexOf(value) !== -1;
+  },
+
+  contains(context, expression, value) {
+    const collection = this.evaluate(expression, context);
+    const member = this.evaluate(value, context);
+
+    if (isArray(collection) || typeof collection === 'string') {
+      return collection.indexOf(member) !== -1;
+    } else if (isObject(collection)) {
+      return collection[member] !== undefined;
+    }
+
+    return false;
+  },
+
+  not(context, expression) {
+    return !this.evaluate(expression, context);
+  },
+
   filter(context, select, where) {
-    let values = this.evaluate(select, context);
+    const candidates = indexedCandidates(this.target, select, where);
+    let values;
+
+    if (candidates) {
+      values = recordsForIds(this.target, select.args[0], candidates);
+      context.basePath = [select.args[0]];
+    } else {
+      values = this.evaluate(select, context);
+    }
+
     let basePath = context.basePath;
     let eachContext;
     let matches = {};
@@ -50,39 +513,118 @@ export default {
     const keys = Object.keys(values);
     const basePath = context.basePath;
 
+    const indexes = sortExpressions.map(sortExpression => sortIndex(this.target, basePath, sortExpression.field));
+
     const comparisonValues = keys.reduce((obj, key) => {
-      obj[key] = sortExpressions.map(sortExpression => this.evaluate(
-        sortExpression.field,
-        merge(context, { basePath: basePath.concat(key) })
-      ));
+      obj[key] = sortExpressions.map((sortExpression, i) => {
+        if (indexes[i]) {
+          return indexes[i].valueFor(key);
+        }
+
+        return this.evaluate(
+          sortExpression.field,
+          merge(context, { basePath: basePath.concat(key) })
+        );
+      });
       return obj;
     }, {});
 
-    const comparisonOrders = sortExpressions.map(
-      sortExpression => sortExpression.order === 'descending' ? -1 : 1);
+    const comparisonOrders = sortOrders(sortExpressions);
 
     keys.sort((key1, key2) => {
-      const values1 = comparisonValues[key1];
-      const values2 = comparisonValues[key2];
-      for (let i = 0; i < sortExpressions.length; i++) {
-        if (values1[i] < values2[i]) {
-          return -comparisonOrders[i];
-        }
-        if (values1[i] > values2[i]) {
-          return comparisonOrders[i];
-        }
-      }
-      return 0;
+      return compareSortValues(comparisonValues[key1], comparisonValues[key2], comparisonOrders) ||
+             compareStrings(key1, key2);
     });
 
     return keys.map(key => values[key]);
   },
 
+  fields(context, select, fieldsByType) {
+    const results = selectedIdentities(this, context, select);
+
+    return mapRecords(results, record => record && sparseRecord(this.target, record.type, record.id, fieldsByType));
+  },
+
+  include(context, select, paths) {
+    const results = this.evaluate(select, context);
+    const isPage = isPageResults(results);
+    let primary;
+
+    if (results === undefined || results === null) {
+      primary = [];
+    } else if (isPage) {
+      primary = results.data;
+    } else if (isRecordIdentity(results)) {
+      primary = [results];
+    } else {
+      primary = recordsIn(results);
+    }
+
+    if (typeof paths === 'string') {
+      paths = paths.split(',');
+    }
+
+    const included = includedRecords(this.target, primary, paths);
+
+    if (isPage) {
+      return extend({}, results, { included });
+    }
+
+    return { data: results, included };
+  },
+
+  ordered(context, select) {
+    return defaultOrder(this.target, this.evaluate(select, context));
+  },
+
   page(context, select, options) {
-    const records = this.evaluate(select, context);
+    const results = this.evaluate(select, context);
+    const records = defaultOrder(this.target, results);
+    let ordering;
+
+    if (isQueryExpression(select) && select.op === 'sort') {
+      ordering = sortOrdering(this, context, select.args[1]);
+    } else if (!isArray(results) && !isPageResults(results)) {
+      ordering = defaultOrdering(this.target);
+    }
+
+    // Cursors are the sort values of records where possible, so that they
+    // remain valid after their records are removed.
+    const cursorFor = record => ordering ? ordering.valuesFor(record) : identity(record);
 
-    if (!isArray(records)) {
-      throw new QueryExpressionParseError('Query results cannot be paginated without specifying a sort order.');
+    if (isCursorPagination(options)) {
+      if (options.offset !== undefined || options.limit !== undefined) {
+        throw new QueryExpressionParseError('Query results cannot be paginated with both cursors and offsets.');
+      }
+
+      let begin = 0;
+      let end = records.length;
+
+      if (options.after !== undefined) {
+        begin = cursorPosition(ordering, records, options.after, false);
+      }
+      if (options.before !== undefined) {
+        end = Math.max(begin, cursorPosition(ordering, records, options.before, true));
+      }
+      if (options.first !== undefined) {
+        end = Math.min(end, begin + options.first);
+      }
+      if (options.last !== undefined) {
+        begin = Math.max(begin, end - options.last);
+      }
+
+      const data = records.slice(begin, end);
+
+      return {
+        data,
+        pageInfo: {
+          hasPreviousPage: begin > 0,
+          hasNextPage: end < records.length,
+          startCursor: data.length > 0 ? cursorFor(data[0]) : null,
+          endCursor: data.length > 0 ? cursorFor(data[data.length - 1]) : null
+        },
+        total: records.length
+      };
     }
 
     const begin = options.offset || 0;
@@ -136,5 +678,75 @@ export default {
   attribute(context, name) {
     const path = (context.basePath || []).concat(['attributes', name]);
     return this.target.get(path);
+  },
+
+  relatedRecordEqual(context, relationship, record) {
+    const identifiers = relatedIdentifiers(this.target, context, relationship);
+    const relatedRecord = this.evaluate(record, context);
+
+    if (relatedRecord) {
+      return identifiers.length === 1 && identifiers[0] === toIdentifier(relatedRecord.type, relatedRecord.id);
+    } else {
+      return identifiers.length === 0;
+    }
+  },
+
+  relatedRecordsContain(context, relationship, record) {
+    const identifiers = relatedIdentifiers(this.target, context, relationship);
+    const relatedRecord = this.evaluate(record, context);
+
+    return identifiers.indexOf(toIdentifier(relatedRecord.type, relatedRecord.id)) !== -1;
+  },
+
+  relatedRecordsContainAll(context, relationship, records) {
+    const identifiers = relatedIdentifiers(this.target, context, relationship);
+    const relatedRecords = this.evaluate(records, context);
+
+    return every(relatedRecords, relatedRecord => {
+      return identifiers.indexOf(toIdentifier(relatedRecord.type, relatedRecord.id)) !== -1;
+    });
+  },
+
+  relatedRecordsEmpty(context, relationship) {
+    return relatedIdentifiers(this.target, context, relationship).length === 0;
+  },
+
+  relatedRecordsCount(context, relationship) {
+    return relatedIdentifiers(this.target, context, relationship).length;
+  },
+
+  count(context, select) {
+    return recordsIn(this.evaluate(select, context)).length;
+  },
+
+  sum(context, select, attribute) {
+    return attributeValues(recordsIn(this.evaluate(select, context)), attribute)
+      .reduce((sum, value) => sum + value, 0);
+  },
+
+  min(context, select, attribute) {
+    const values = attributeValues(recordsIn(this.evaluate(select, context)), attribute);
+    return values.length > 0 ? values.reduce((min, value) => value < min ? value : min) : null;
+  },
+
+  max(context, select, attribute) {
+    const values = attributeValues(recordsIn(this.evaluate(select, context)), attribute);
+    return values.length > 0 ? values.reduce((max, value) => value > max ? value : max) : null;
+  },
+
+  avg(context, select, attribute) {
+    const values = attributeValues(recordsIn(this.evaluate(select, context)), attribute);
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  },
+
+  groupBy(context, select, attribute) {
+    const groups = {};
+
+    recordsIn(this.evaluate(select, context)).forEach(record => {
+      const value = attributeValue(record, attribute);
+      (groups[value] = groups[value] || []).push(record);
+    });
+
+    return groups;
   }
 };
@@ -1,3 +1,4 @@
 import Store from './store';
+import Journal from './journal';
 
-export { Store };
+export { Store, Journal };
@@ -0,0 +1,195 @@
+import { assert } from 'orbit/lib/assert';
+import { serializeTransform, deserializeTransform } from './lib/transforms';
+
+/**
+ An append-only log file in which a `Store` records its history, so that the
+ store can be restored when it's next constructed with the same journal.
+
+ Each line of the file is a JSON entry that records a change to the store's
+ history: a transform that has been applied (with its inverse), rolled back,
+ truncated or replaced by a checkpoint, or the log being cleared. Once
+ `snapshotInterval` entries have been appended, the store writes a snapshot
+ of its cache's document and its current history, which replaces the file.
+
+ The file system is accessed through the synchronous methods of `fs` (i.e.
+ Node's `fs` module or a compatible object): `existsSync`, `readFileSync`,
+ `appendFileSync`, `writeFileSync` and `renameSync`.
+
+ @class Journal
+ @namespace OC
+ @param {Object} options Journal options.
+ @param {Object} options.fs File system module.
+ @param {String} options.path Path of the journal file.
+ @param {Number} [options.snapshotInterval=100] Number of entries to append between snapshots.
+ @constructor
+ */
+export default class Journal {
+  constructor(options = {}) {
+    assert('Journal\'s `fs` must be specified in `options.fs` constructor argument', options.fs);
+    assert('Journal\'s `path` must be specified in `options.path` constructor argument', options.path);
+
+    this.fs = options.fs;
+    this.path = options.path;
+    this.snapshotInterval = options.snapshotInterval === undefined ? 100 : options.snapshotInterval;
+    this._entriesSinceSnapshot = 0;
+  }
+
+  /**
+   Has the snapshot interval been reached?
+
+   @property {Boolean} needsSnapshot
+   */
+  get needsSnapshot() {
+    return this._entriesSinceSnapshot >= this.snapshotInterval;
+  }
+
+  /**
+   Reads the journal's entries, in the order in which they were appended.
+
+   An entry that was only partially appended (e.g. because the process
+   exited while appending it) is ignored and removed from the file, so that
+   later entries are appended after the last complete entry.
+
+   @method read
+   @returns {Array} Array of entries.
+   */
+  read() {
+    if (!this.fs.existsSync(this.path)) {
+      return [];
+    }
+
+    const lines = this.fs.readFileSync(this.path, 'utf8').split('\n');
+    const lastLine = lines.pop();
+
+    if (lastLine.length > 0) {
+      if (isCompleteEntry(lastLine)) {
+        lines.push(lastLine);
+      }
+      this._rewrite(lines);
+    }
+
+    const entries = lines
+      .filter(line => line.length > 0)
+      .map(line => deserializeEntry(JSON.parse(line)));
+
+    const lastSnapshot = entries.map(entry => entry.type).lastIndexOf('snapshot');
+    this._entriesSinceSnapshot = entries.length - Math.max(lastSnapshot + 1, 0);
+
+    return entries;
+  }
+
+  /**
+   Records that a transform has been applied.
+
+   @method transform
+   @param {Transform} transform The transform.
+   @param {Array} inverse Inverse operations.
+   @returns {undefined}
+   */
+  transform(transform, inverse) {
+    this._append({ type: 'transform', transform: serializeTransform(transform), inverse });
+  }
+
+  /**
+   Records that a transform has been rolled back.
+
+   @method rollback
+   @param {String} transformId The ID of the transform.
+   @returns {undefined}
+   */
+  rollback(transformId) {
+    this._append({ type: 'rollback', transformId });
+  }
+
+  /**
+   Records that transforms have been truncated from history.
+
+   @method truncate
+   @param {Array} transformIds The IDs of the truncated transforms.
+   @returns {undefined}
+   */
+  truncate(transformIds) {
+    this._append({ type: 'truncate', transformIds });
+  }
+
+  /**
+   Records that a transform has been replaced by a checkpoint, which has no
+   inverse.
+
+   @method checkpoint
+   @param {Transform} transform The checkpoint.
+   @returns {undefined}
+   */
+  checkpoint(transform) {
+    this._append({ type: 'checkpoint', transform: serializeTransform(transform) });
+  }
+
+  /**
+   Records that history has been cleared.
+
+   @method clear
+   @returns {undefined}
+   */
+  clear() {
+    this._append({ type: 'clear' });
+  }
+
+  /**
+   Replaces the journal with a snapshot of a cache's document and the history
+   of transforms (and inverses) that led to it.
+
+   The snapshot is first written to a temporary file, which is then renamed,
+   so that the journal is never left incomplete.
+
+   @method snapshot
+   @param {Object} doc The cache's document.
+   @param {Array} history Array of `{ transform, inverse }` entries.
+   @returns {undefined}
+   */
+  snapshot(doc, history) {
+    const entry = {
+      type: 'snapshot',
+      doc,
+      history: history.map(({ transform, inverse }) => {
+        return { transform: serializeTransform(transform), inverse };
+      })
+    };
+
+    this._rewrite([JSON.stringify(entry)]);
+    this._entriesSinceSnapshot = 0;
+  }
+
+  // Replaces the file with `lines`. The lines are first written to a
+  // temporary file, which is then renamed, so that the journal is never left
+  // incomplete.
+  _rewrite(lines) {
+    const tmpPath = `${this.path}.tmp`;
+
+    this.fs.writeFileSync(tmpPath, lines.map(line => line + '\n').join(''));
+    this.fs.renameSync(tmpPath, this.path);
+  }
+
+  _append(entry) {
+    this.fs.appendFileSync(this.path, JSON.stringify(entry) + '\n');
+    this._entriesSinceSnapshot++;
+  }
+}
+
+function isCompleteEntry(line) {
+  try {
+    JSON.parse(line);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function deserializeEntry(entry) {
+  if (entry.transform) {
+    entry.transform = deserializeTransform(entry.transform);
+  }
+  if (entry.history) {
+    entry.history.forEach(item => item.transform = deserializeTransform(item.transform));
+  }
+  return entry;
+}
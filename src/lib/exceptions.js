@@ -0,0 +1,50 @@
+import { Exception } from 'orbit/lib/exceptions';
+
+/**
+ Exception thrown when merging a forked store would overwrite changes that
+ were made to the base store after the fork.
+
+ @class MergeConflictException
+ @namespace OC
+ @param {Array} conflicts Array of `{ operation, record, path, ancestor, ours, theirs }` conflicts (see `Store#mergeConflicts`).
+ @constructor
+ */
+export class MergeConflictException extends Exception {
+  constructor(conflicts) {
+    super(`Merge conflict: ${conflicts.map(conflict => conflict.path.join('/')).join(', ')}`);
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ Exception thrown when reverting a transform would overwrite changes that
+ were made by later transforms.
+
+ @class RevertConflictException
+ @namespace OC
+ @param {String} transformId The ID of the transform that couldn't be reverted.
+ @param {Array} conflicts Array of `{ transform, path }` conflicts.
+ @constructor
+ */
+export class RevertConflictException extends Exception {
+  constructor(transformId, conflicts) {
+    super(`Revert conflict: ${transformId} - ${conflicts.map(conflict => conflict.path.join('/')).join(', ')}`);
+    this.transformId = transformId;
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ Exception thrown when a savepoint can't be found.
+
+ @class SavepointNotFoundException
+ @namespace OC
+ @param {String} name The name of the savepoint.
+ @constructor
+ */
+export class SavepointNotFoundException extends Exception {
+  constructor(name) {
+    super(`Savepoint not found: ${name}`);
+    this.savepoint = name;
+  }
+}
@@ -0,0 +1,71 @@
+import { toIdentifier } from 'orbit/lib/identifiers';
+
+const RECORD_FIELDS = ['keys', 'attributes'];
+
+/**
+ Returns the paths in a cache's document of the fields that an operation
+ changes.
+
+ Operations that add or replace a record change each of the fields that the
+ record includes. Operations that add to or remove from a hasMany
+ relationship change only the membership of the related record.
+
+ @method operationPaths
+ @for OC
+ @param {Object} operation The operation.
+ @returns {Array} Array of paths, each of which is an array of keys.
+ */
+export function operationPaths(operation) {
+  const { type, id } = operation.record;
+  const recordPath = [type, id];
+
+  switch (operation.op) {
+    case 'addRecord':
+    case 'replaceRecord':
+      return recordFieldPaths(operation.record);
+
+    case 'replaceKey':
+      return [recordPath.concat(['keys', operation.key])];
+
+    case 'replaceAttribute':
+      return [recordPath.concat(['attributes', operation.attribute])];
+
+    case 'addToHasMany':
+    case 'removeFromHasMany': {
+      const { type: relatedType, id: relatedId } = operation.relatedRecord;
+      return [recordPath.concat(['relationships', operation.relationship, 'data', toIdentifier(relatedType, relatedId)])];
+    }
+
+    case 'replaceHasMany':
+    case 'replaceHasOne':
+      return [recordPath.concat(['relationships', operation.relationship, 'data'])];
+
+    default:
+      return [recordPath];
+  }
+}
+
+function recordFieldPaths(record) {
+  const recordPath = [record.type, record.id];
+  const paths = [];
+
+  RECORD_FIELDS.forEach(field => {
+    if (record[field]) {
+      Object.keys(record[field]).forEach(name => {
+        paths.push(recordPath.concat([field, name]));
+      });
+    }
+  });
+
+  if (record.relationships) {
+    Object.keys(record.relationships).forEach(relationship => {
+      paths.push(recordPath.concat(['relationships', relationship, 'data']));
+    });
+  }
+
+  if (paths.length === 0) {
+    paths.push(recordPath);
+  }
+
+  return paths;
+}
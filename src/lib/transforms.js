@@ -0,0 +1,27 @@
+import Transform from 'orbit/transform';
+
+/**
+ Returns a plain object representation of a transform, which can be
+ serialized to JSON.
+
+ @method serializeTransform
+ @for OC
+ @param {Transform} transform The transform to serialize.
+ @returns {Object} Object with the transform's `id` and `operations`.
+ */
+export function serializeTransform(transform) {
+  return { id: transform.id, operations: transform.operations };
+}
+
+/**
+ Returns the transform represented by an object returned from
+ `serializeTransform`.
+
+ @method deserializeTransform
+ @for OC
+ @param {Object} data The serialized transform.
+ @returns {Transform} The transform.
+ */
+export function deserializeTransform(data) {
+  return new Transform(data.operations, { id: data.id });
+}
@@ -2,8 +2,12 @@ import { Observable } from 'rxjs/Observable';
 
 export function fromOrbitEvent(emitter, event) {
   return Observable.create(observer => {
-    emitter.on(event, payload => {
+    const listener = payload => {
       observer.next(payload);
-    });
+    };
+
+    emitter.on(event, listener);
+
+    return () => emitter.off(event, listener);
   });
 }
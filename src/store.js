@@ -1,9 +1,12 @@
+/* globals Immutable */
 import Orbit from 'orbit';
 import { assert } from 'orbit/lib/assert';
-import { extend as assign } from 'orbit/lib/objects';
+import { extend as assign, clone, get, set } from 'orbit/lib/objects';
+import { every } from 'orbit/lib/arrays';
 import Syncable from 'orbit/interfaces/syncable';
 import Queryable from 'orbit/interfaces/queryable';
 import Updatable from 'orbit/interfaces/updatable';
+import Transform from 'orbit/transform';
 import TransformLog from 'orbit/transform/log';
 import {
   coalesceTransforms,
@@ -11,12 +14,103 @@ import {
 } from 'orbit/lib/transforms';
 import Source from 'orbit/source';
 import Cache from './cache';
+import { operationPaths } from './lib/operations';
+import { serializeTransform, deserializeTransform } from './lib/transforms';
+import { TransformNotLoggedException } from 'orbit/lib/exceptions';
+import {
+  MergeConflictException,
+  RevertConflictException,
+  SavepointNotFoundException
+} from './lib/exceptions';
+
+function toJS(value) {
+  return value && value.toJS ? value.toJS() : value;
+}
+
+// Returns the operations that change the records in `fromDoc` to those in
+// `toDoc`. Records are added before others are replaced, so that references
+// to them can be resolved, and removed last.
+function documentOperations(fromDoc, toDoc) {
+  const added = [];
+  const replaced = [];
+  const removed = [];
+
+  toDoc.forEach((records, type) => {
+    records.forEach((record, id) => {
+      const current = fromDoc.getIn([type, id]);
+
+      if (current === undefined) {
+        added.push({ op: 'addRecord', record: record.toJS() });
+      } else if (!Immutable.is(current, record)) {
+        replaced.push({ op: 'replaceRecord', record: record.toJS() });
+      }
+    });
+  });
 
+  fromDoc.forEach((records, type) => {
+    records.forEach((record, id) => {
+      if (toDoc.getIn([type, id]) === undefined) {
+        removed.push({ op: 'removeRecord', record: { type, id } });
+      }
+    });
+  });
+
+  return added.concat(replaced, removed);
+}
+
+function pathsOverlap(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) { return false; }
+  }
+  return true;
+}
+
+function replaceField(record, path, value) {
+  if (value === undefined) {
+    const parent = get(record, path.slice(0, -1));
+    if (parent) {
+      delete parent[path[path.length - 1]];
+    }
+  } else {
+    set(record, path, value);
+  }
+}
+
+/**
+ A source that maintains its records in an in-memory `Cache`, and tracks the
+ transforms applied to it so that they can be rolled back, undone or merged.
+
+ The store's history of transforms can be bounded with `maxHistoryLength`
+ and/or `maxHistorySize`. Once either limit is exceeded, the oldest transforms
+ are compacted according to `historyCompaction`:
+
+ * `'drop'` - the oldest transforms are truncated from the log.
+ * `'coalesce'` - the oldest transforms are coalesced into a single checkpoint
+   transform, which keeps the ID of the most recent of them. A checkpoint
+   can't be rolled back, but still includes all of the changes it replaced
+   (e.g. for merging).
+
+ @class Store
+ @namespace OC
+ @extends Source
+ @param {Object} [options] - Options for the store.
+ @param {OC.Schema} [options.schema] - The schema.
+ @param {KeyMap} options.keyMap - The key map.
+ @param {Object} [options.cacheOptions] - Options to pass to the `Cache`.
+ @param {Number} [options.maxHistoryLength] - The maximum number of transforms to track.
+ @param {Number} [options.maxHistorySize] - The maximum size of the tracked transforms and their inverses, measured as the length of their operations serialized to JSON.
+ @param {String} [options.historyCompaction='drop'] - How to compact the history: `'drop'` or `'coalesce'`.
+ @param {OC.Journal} [options.journal] - A journal in which to persist the store's history. The store's cache and history are restored from the journal when the store is constructed.
+ @constructor
+*/
 export default class Store extends Source {
   constructor(options = {}) {
-    const { schema, keyMap, cacheOptions } = options;
+    const { schema, keyMap, cacheOptions, maxHistoryLength, maxHistorySize, historyCompaction = 'drop' } = options;
 
     assert('Store\'s `keyMap` must be specified in `options.keyMap` constructor argument', keyMap);
+    assert('Store\'s `maxHistoryLength` must be at least 1', maxHistoryLength === undefined || maxHistoryLength >= 1);
+    assert('Store\'s `historyCompaction` must be either \'drop\' or \'coalesce\'', historyCompaction === 'drop' || historyCompaction === 'coalesce');
 
     options.name = options.name || 'store';
 
@@ -25,11 +119,48 @@ export default class Store extends Source {
     this.keyMap = keyMap;
     this._transforms = {};
     this._transformInverses = {};
-
-    this.transformLog.on('clear', this._logCleared, this);
-    this.transformLog.on('truncate', this._logTruncated, this);
+    this._undoStack = [];
+    this._redoStack = [];
+    this._undoGroup = null;
+    this._undoGroupDepth = 0;
+    this._undoRequests = {};
+    this._savepoints = {};
+    this._maxHistoryLength = maxHistoryLength;
+    this._maxHistorySize = maxHistorySize;
+    this._historyCompaction = historyCompaction;
+    this._transformSizes = {};
+    this._compactingHistory = false;
+    this._checkpointId = null;
 
     this.cache = new Cache(assign({ schema, keyMap }, cacheOptions));
+
+    if (cacheOptions && cacheOptions.base) {
+      // The state of the base at the time of the fork, which is the common
+      // ancestor of the base and the fork when merging.
+      this._forkPoint = this.cache.snapshot();
+    }
+
+    if (options.journal) {
+      this._replaceTransformLog(this._replayJournal(options.journal));
+      this._journal = options.journal;
+    }
+
+    this._observeTransformLog();
+  }
+
+  /**
+   Creates a store from the state returned by `serialize`.
+
+   @method deserialize
+   @static
+   @param {Object} data - The serialized state.
+   @param {Object} options - Options for the store's constructor, including its `schema` and `keyMap`.
+   @returns {Store} The store.
+  */
+  static deserialize(data, options = {}) {
+    const store = new Store(options);
+    store._deserialize(data);
+    return store;
   }
 
   /////////////////////////////////////////////////////////////////////////////
@@ -47,6 +178,7 @@ export default class Store extends Source {
 
   _update(transform) {
     this._applyTransform(transform);
+    this._trackUndoable(transform);
     return Orbit.Promise.resolve();
   }
 
@@ -62,9 +194,107 @@ export default class Store extends Source {
   // Public methods
   /////////////////////////////////////////////////////////////////////////////
 
-  liveQuery(query) {
+  /**
+   Is there an update that can be undone?
+
+   @property {Boolean} canUndo
+  */
+  get canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  /**
+   Is there an undone update that can be redone?
+
+   @property {Boolean} canRedo
+  */
+  get canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   Undoes the most recent undoable step.
+
+   Each transform applied through `update` is an undoable step, unless it is
+   applied within an undo group (see `beginUndoGroup`). A step is undone by
+   applying the stored inverses of its transforms through `update`, as a new
+   transform, which can then be redone with `redo`.
+
+   Transforms that are removed from the store's history, by rolling back or
+   truncating its log, can no longer be undone.
+
+   An `undoStackChange` event is emitted whenever `canUndo` or `canRedo` may
+   have changed.
+
+   @method undo
+   @returns {Promise} A promise that resolves when the step has been undone,
+   or immediately if there is nothing to undo.
+  */
+  undo() {
+    return this._applyUndoStep(this._undoStack, 'undo');
+  }
+
+  /**
+   Redoes the most recently undone step.
+
+   @method redo
+   @returns {Promise} A promise that resolves when the step has been redone,
+   or immediately if there is nothing to redo.
+  */
+  redo() {
+    return this._applyUndoStep(this._redoStack, 'redo');
+  }
+
+  /**
+   Starts grouping updates into a single undoable step, which ends with a
+   matching call to `endUndoGroup`. Groups may be nested, in which case the
+   outermost group forms the step.
+
+   @method beginUndoGroup
+   @returns {undefined}
+  */
+  beginUndoGroup() {
+    this._undoGroupDepth++;
+  }
+
+  /**
+   Ends a group of updates started with `beginUndoGroup`.
+
+   @method endUndoGroup
+   @returns {undefined}
+  */
+  endUndoGroup() {
+    assert('`endUndoGroup` must be preceded by `beginUndoGroup`', this._undoGroupDepth > 0);
+
+    if (--this._undoGroupDepth === 0) {
+      this._undoGroup = null;
+    }
+  }
+
+  /**
+   Returns a stream of operations that keeps the results of `query` up to
+   date. See `Cache#liveQuery` for the supported `options`.
+
+   @method liveQuery
+   @param {Query} query - The query to keep up to date.
+   @param {Object} [options] - Options to pass to `Cache#liveQuery`.
+   @returns {Observable} A stream of operations for the query's results.
+  */
+  liveQuery(query, options) {
     this.query(query);
-    return this.cache.liveQuery(query);
+    return this.cache.liveQuery(query, undefined, options);
+  }
+
+  /**
+   Returns a preview of what applying a transform would change, without
+   changing the store. See `Cache#dryRun`.
+
+   @method preview
+   @param {Transform|Array} transformOrOperations - The transform or operations to preview.
+   @returns {Object} The `operations` that would be applied, including those generated by the cache's processors, and their `inverse`.
+  */
+  preview(transformOrOperations) {
+    return this.cache.dryRun(Transform.from(transformOrOperations).operations);
   }
 
   /**
@@ -84,7 +314,9 @@ export default class Store extends Source {
     options.schema = this.schema;
     options.keyMap = this.keyMap;
 
-    return new Store(options);
+    const forkedStore = new Store(options);
+    forkedStore._base = this;
+    return forkedStore;
   }
 
   /**
@@ -97,29 +329,345 @@ export default class Store extends Source {
    The `coalesce` option controls whether operations are coalesced into a
    minimal equivalent set before being reduced into a transform.
 
+   Before merging, the forked operations are checked for conflicts with
+   changes made to this store since the fork (see `mergeConflicts`). If any
+   are found, the `strategy` option determines how they are resolved:
+
+   * `'ours'` - keep this store's changes and skip the conflicting forked ones.
+   * `'theirs'` - apply the forked changes, overwriting this store's.
+   * a function - called with each conflict, returning `'ours'` or `'theirs'`.
+
+   Without a `strategy`, the returned promise is rejected with a
+   `MergeConflictException` and nothing is merged.
+
    @method merge
    @param {Store} forkedStore - The store to merge.
    @param {Object}  [options] Options
    @param {Boolean} [options.coalesce = true] Should operations be coalesced into a minimal equivalent set?
    @param {String}  [options.sinceTransformId = null] Select only transforms since the specified ID.
+   @param {String|Function} [options.strategy] How to resolve conflicts.
    @returns {Promise} The result of calling `update()` with the forked transforms.
   */
-  merge(forkedStore, { coalesce = true, sinceTransformId = null } = {}) {
-    let transforms;
-    if (sinceTransformId) {
-      transforms = forkedStore.transformsSince(sinceTransformId);
-    } else {
-      transforms = forkedStore.allTransforms();
+  merge(forkedStore, options = {}) {
+    const { strategy } = options;
+    let transform;
+
+    try {
+      transform = this._forkedTransform(forkedStore, options);
+      const conflicts = this._mergeConflicts(forkedStore, transform.operations);
+
+      if (conflicts.length > 0) {
+        if (!strategy) {
+          return Orbit.Promise.reject(new MergeConflictException(conflicts));
+        }
+
+        transform = Transform.from(this._resolveMergeConflicts(transform.operations, conflicts, strategy));
+      }
+    } catch (e) {
+      return Orbit.Promise.reject(e);
     }
 
-    let reducedTransform;
-    if (coalesce) {
-      reducedTransform = coalesceTransforms(transforms);
-    } else {
-      reducedTransform = reduceTransforms(transforms);
+    return this.update(transform);
+  }
+
+  /**
+   Returns the conflicts that merging a forked store would cause.
+
+   A conflict occurs when a field that a forked operation changes has also
+   been changed in this store since the fork, to a different value. Fields are
+   attributes, keys, relationships and, for hasMany relationships, the
+   membership of individual records. Removing a record changes all of its
+   fields.
+
+   Each conflict identifies the `operation` from the fork, the `record` and
+   `path` of the field, and the value of the field at the time of the fork
+   (`ancestor`), in this store (`ours`) and in the fork (`theirs`).
+
+   @method mergeConflicts
+   @param {Store} forkedStore - The store to merge.
+   @param {Object}  [options] The same options accepted by `merge`.
+   @returns {Array} Array of conflicts.
+  */
+  mergeConflicts(forkedStore, options = {}) {
+    const transform = this._forkedTransform(forkedStore, options);
+    return this._mergeConflicts(forkedStore, transform.operations);
+  }
+
+  /**
+   Rebases a forked store onto the current state of its base store.
+
+   The forked store's own transforms are rolled back, its cache is patched
+   with the records that differ in the base store's current document, and
+   then its transforms are re-applied in order. Operations that no longer apply are dropped, such as changes to a
+   record that has since been removed from the base, or references to a
+   related record that no longer exists. Transforms left without any
+   operations are removed from the log.
+
+   Live queries on the forked store's cache receive the base's changes along
+   with those of the rolled back and re-applied transforms.
+
+   @method rebase
+   @returns {Promise} A promise that resolves to an array of the dropped
+   operations, each described as `{ transform, operation }`.
+  */
+  rebase() {
+    const base = this._base;
+
+    assert('Only a forked store can be rebased', base);
+
+    const transforms = this.allTransforms();
+    const undoState = {
+      undoStack: this._undoStack,
+      redoStack: this._redoStack,
+      undoGroup: this._undoGroup
+    };
+
+    transforms
+      .slice()
+      .reverse()
+      .forEach(transform => this._rollbackTransform(transform.id));
+
+    const baseChanges = documentOperations(this.cache.getRaw(), base.cache.getRaw());
+    if (baseChanges.length > 0) {
+      this.cache.patch(baseChanges);
+    }
+    this._forkPoint = this.cache.snapshot();
+
+    const dropped = [];
+    const rebasedIds = [];
+
+    transforms.forEach(transform => {
+      // Records added or removed by the transform's earlier operations, which
+      // are yet to be applied.
+      const pending = {};
+
+      const operations = transform.operations.filter(operation => {
+        if (!this._canRebaseOperation(operation, pending)) {
+          dropped.push({ transform, operation });
+          return false;
+        }
+
+        const { type, id } = operation.record;
+        if (operation.op === 'addRecord') {
+          pending[`${type}:${id}`] = true;
+        } else if (operation.op === 'removeRecord') {
+          pending[`${type}:${id}`] = false;
+        }
+
+        return true;
+      });
+
+      if (operations.length === 0) { return; }
+
+      if (operations.length < transform.operations.length) {
+        transform = new Transform(operations, { id: transform.id });
+      }
+
+      this._applyTransform(transform);
+      rebasedIds.push(transform.id);
+    });
+
+    this._restoreUndoable(undoState, rebasedIds);
+
+    // The move to the base's document can only be persisted as a snapshot.
+    if (this._journal) {
+      this._snapshotJournal();
+    }
+
+    if (rebasedIds.length === transforms.length) {
+      return Orbit.Promise.resolve(dropped);
+    }
+
+    // Savepoints are kept across the rewrite of the log. Those of transforms
+    // that were dropped entirely move to the preceding re-applied transform.
+    const transformIds = transforms.map(transform => transform.id);
+    const savepoints = {};
+    Object.keys(this._savepoints).forEach(name => {
+      let transformId = this._savepoints[name];
+      let i = transformIds.indexOf(transformId);
+
+      while (i !== -1 && rebasedIds.indexOf(transformId) === -1) {
+        i--;
+        transformId = i === -1 ? null : transformIds[i];
+      }
+
+      savepoints[name] = transformId;
+    });
+
+    return this.transformLog.rollback(transforms[0].id, -1)
+      .then(() => this.transformLog.append(...rebasedIds))
+      .then(() => {
+        this._savepoints = savepoints;
+        return dropped;
+      });
+  }
+
+  /**
+   Reverts a single transform from the store's history, while keeping the
+   changes made by any later transforms.
+
+   The transform's inverse is applied through `update`, as a new transform.
+   If any later transform changed the same fields (see `revertConflicts`),
+   nothing is reverted and the returned promise is rejected with a
+   `RevertConflictException`.
+
+   @method revert
+   @param {string} transformId - The ID of the transform to revert.
+   @returns {Promise} The result of calling `update()` with the inverse.
+  */
+  revert(transformId) {
+    if (!this._transformInverses[transformId]) {
+      return Orbit.Promise.reject(new TransformNotLoggedException(transformId));
+    }
+
+    const conflicts = this.revertConflicts(transformId);
+
+    if (conflicts.length > 0) {
+      return Orbit.Promise.reject(new RevertConflictException(transformId, conflicts));
+    }
+
+    return this.update(Transform.from(this._transformInverses[transformId]));
+  }
+
+  /**
+   Returns the conflicts that reverting a transform would cause.
+
+   A conflict occurs when a later transform changed a field that the reverted
+   transform also changed, or changed a record that the reverted transform
+   added or removed. Each conflict identifies the later `transform` and the
+   `path` of the field it changed.
+
+   @method revertConflicts
+   @param {string} transformId - The ID of the transform to revert.
+   @returns {Array} Array of conflicts.
+  */
+  revertConflicts(transformId) {
+    const inverse = this._transformInverses[transformId];
+
+    if (!inverse) {
+      throw new TransformNotLoggedException(transformId);
+    }
+
+    const revertedPaths = this._changedPaths(inverse);
+    const conflicts = [];
+
+    this.transformLog.after(transformId).forEach(id => {
+      const transform = this._transforms[id];
+      const inverse = this._transformInverses[id];
+
+      if (!inverse) { return; }
+
+      this._changedPaths(inverse).forEach(path => {
+        if (revertedPaths.some(revertedPath => pathsOverlap(revertedPath, path))) {
+          conflicts.push({ transform, path });
+        }
+      });
+    });
+
+    return conflicts;
+  }
+
+  /**
+   The names of the store's savepoints, in the order they were created.
+
+   @property {Array} savepoints
+  */
+  get savepoints() {
+    return Object.keys(this._savepoints);
+  }
+
+  /**
+   Creates a named savepoint at the store's current position in its history,
+   which can later be rolled back to with `rollbackTo`. An existing savepoint
+   with the same name is replaced.
+
+   Savepoints remain valid when the transform log is truncated. A savepoint
+   whose transform has been truncated from the log refers to the start of the
+   log instead (or to the checkpoint at its start, when history is coalesced),
+   which is as far back as the store can be rolled back.
+   Savepoints are released when the log is cleared, or rolled back to a point
+   before them.
+
+   @method savepoint
+   @param {String} name - The name of the savepoint.
+   @returns {undefined}
+  */
+  savepoint(name) {
+    delete this._savepoints[name];
+    this._savepoints[name] = this.transformLog.head || null;
+  }
+
+  /**
+   Rolls back the store to a named savepoint. The savepoint itself remains
+   available, while any savepoints created after it are released.
+
+   @method rollbackTo
+   @param {String} name - The name of the savepoint.
+   @returns {Promise} A promise that resolves when the transform log has been
+   rolled back.
+  */
+  rollbackTo(name) {
+    const transformId = this._savepoint(name);
+    const entries = this.transformLog.entries;
+
+    if (entries.length === 0) {
+      return Orbit.Promise.resolve();
     }
 
-    return this.update(reducedTransform);
+    // A savepoint at the start of the log rolls back all of its transforms.
+    const rollbackId = transformId || entries[0];
+    const relativePosition = transformId ? 0 : -1;
+
+    this.transformLog
+      .after(rollbackId, relativePosition)
+      .reverse()
+      .forEach(id => this._rollbackTransform(id));
+
+    return this.transformLog.rollback(rollbackId, relativePosition);
+  }
+
+  /**
+   Releases a named savepoint.
+
+   @method releaseSavepoint
+   @param {String} name - The name of the savepoint.
+   @returns {undefined}
+  */
+  releaseSavepoint(name) {
+    this._savepoint(name);
+    delete this._savepoints[name];
+  }
+
+  /**
+   Returns the full state of the store as a plain object, which can be
+   serialized to JSON and loaded into a new store with `Store.deserialize`.
+
+   The state includes the cache's document, the transform log, and the
+   transforms and inverses in the store's history, so that the new store can
+   still be rolled back and merged. Savepoints and the undo and redo stacks
+   are included as well. For a forked store, the document at the time of the
+   fork is included so that merge conflicts can still be detected, but the
+   new store can't be rebased.
+
+   The key map is not included. Instead, the keys of the records in the
+   document are pushed to the new store's key map as the document is loaded.
+
+   @method serialize
+   @returns {Object} The store's state.
+  */
+  serialize() {
+    return {
+      doc: this.cache.get([]),
+      transformLog: this.transformLog.entries,
+      history: this._history().map(({ transform, inverse }) => {
+        return { transform: serializeTransform(transform), inverse };
+      }),
+      checkpointId: this._checkpointId,
+      savepoints: clone(this._savepoints),
+      undoStack: clone(this._undoStack),
+      redoStack: clone(this._redoStack),
+      forkPoint: this._forkPoint ? this._forkPoint.doc.toJS() : null
+    };
   }
 
   /**
@@ -167,27 +715,457 @@ export default class Store extends Source {
   // Private methods
   /////////////////////////////////////////////////////////////////////////////
 
+  _forkedTransform(forkedStore, { coalesce = true, sinceTransformId = null }) {
+    let transforms;
+    if (sinceTransformId) {
+      transforms = forkedStore.transformsSince(sinceTransformId);
+    } else {
+      transforms = forkedStore.allTransforms();
+    }
+
+    if (coalesce) {
+      return coalesceTransforms(transforms);
+    } else {
+      return reduceTransforms(transforms);
+    }
+  }
+
+  _mergeConflicts(forkedStore, operations) {
+    const forkPoint = forkedStore._forkPoint;
+    const conflicts = [];
+
+    if (!forkPoint) { return conflicts; }
+
+    operations.forEach(operation => {
+      operationPaths(operation).forEach(path => {
+        const ancestor = forkPoint.doc.getIn(path);
+        const ours = this.cache.getRaw(path);
+
+        if (Immutable.is(ancestor, ours)) { return; }
+
+        const theirs = forkedStore.cache.getRaw(path);
+
+        if (Immutable.is(ours, theirs)) { return; }
+
+        conflicts.push({
+          operation,
+          record: { type: path[0], id: path[1] },
+          path,
+          ancestor: toJS(ancestor),
+          ours: toJS(ours),
+          theirs: toJS(theirs)
+        });
+      });
+    });
+
+    return conflicts;
+  }
+
+  _resolveMergeConflicts(operations, conflicts, strategy) {
+    const resolvedAsOurs = conflicts.filter(conflict => {
+      const resolution = typeof strategy === 'function' ? strategy(conflict) : strategy;
+
+      assert('Merge conflicts must be resolved as either \'ours\' or \'theirs\'', resolution === 'ours' || resolution === 'theirs');
+
+      return resolution === 'ours';
+    });
+
+    const resolvedOperations = [];
+
+    operations.forEach(operation => {
+      const ours = resolvedAsOurs.filter(conflict => conflict.operation === operation);
+
+      if (ours.length === 0) {
+        resolvedOperations.push(operation);
+        return;
+      }
+
+      // Keep the fields of a record that aren't in conflict, as long as the
+      // record itself still exists here.
+      const { type, id } = operation.record;
+      if ((operation.op === 'addRecord' || operation.op === 'replaceRecord') &&
+          this.cache.has([type, id]) &&
+          every(ours, conflict => conflict.path.length > 2)) {
+        const record = clone(operation.record);
+        ours.forEach(conflict => replaceField(record, conflict.path.slice(2), conflict.ours));
+        resolvedOperations.push({ op: operation.op, record });
+      }
+    });
+
+    return resolvedOperations;
+  }
+
+  _savepoint(name) {
+    if (!this._savepoints.hasOwnProperty(name)) {
+      throw new SavepointNotFoundException(name);
+    }
+    return this._savepoints[name];
+  }
+
+  _changedPaths(operations) {
+    const paths = {};
+    operations.forEach(operation => {
+      operationPaths(operation).forEach(path => {
+        paths[path.join('/')] = path;
+      });
+    });
+    return Object.keys(paths).map(key => paths[key]);
+  }
+
+  _canRebaseOperation(operation, pending) {
+    const { record, relatedRecord, relatedRecords } = operation;
+    const exists = ({ type, id }) => {
+      const identifier = `${type}:${id}`;
+      return pending.hasOwnProperty(identifier) ? pending[identifier] : this.cache.has([type, id]);
+    };
+
+    if (operation.op !== 'addRecord' && !exists(record)) {
+      return false;
+    }
+
+    const related = relatedRecords || (relatedRecord ? [relatedRecord] : []);
+
+    return every(related, exists);
+  }
+
+  _applyUndoStep(stack, type) {
+    if (stack.length === 0) {
+      return Orbit.Promise.resolve();
+    }
+
+    const transformIds = stack.pop();
+    const operations = [];
+
+    transformIds
+      .slice()
+      .reverse()
+      .forEach(id => Array.prototype.push.apply(operations, this._transformInverses[id]));
+
+    const transform = Transform.from(operations);
+
+    this._undoRequests[transform.id] = type;
+    this.emit('undoStackChange');
+
+    return this.update(transform)
+      .catch(error => {
+        delete this._undoRequests[transform.id];
+        stack.push(transformIds);
+        this.emit('undoStackChange');
+        throw error;
+      });
+  }
+
+  _trackUndoable(transform) {
+    const type = this._undoRequests[transform.id];
+    delete this._undoRequests[transform.id];
+
+    if (type === 'undo') {
+      this._redoStack.push([transform.id]);
+    } else if (type === 'redo') {
+      this._undoStack.push([transform.id]);
+    } else {
+      if (this._undoGroupDepth === 0) {
+        this._undoStack.push([transform.id]);
+      } else if (this._undoGroup) {
+        this._undoGroup.push(transform.id);
+      } else {
+        this._undoGroup = [transform.id];
+        this._undoStack.push(this._undoGroup);
+      }
+      this._redoStack = [];
+    }
+
+    this.emit('undoStackChange');
+  }
+
+  _forgetUndoable(transformId) {
+    const undoStack = this._undoStack.filter(ids => ids.indexOf(transformId) === -1);
+    const redoStack = this._redoStack.filter(ids => ids.indexOf(transformId) === -1);
+
+    if (undoStack.length < this._undoStack.length || redoStack.length < this._redoStack.length) {
+      if (undoStack.indexOf(this._undoGroup) === -1) {
+        this._undoGroup = null;
+      }
+      this._undoStack = undoStack;
+      this._redoStack = redoStack;
+      this.emit('undoStackChange');
+    }
+  }
+
+  // Restores undo and redo stacks that were forgotten as their transforms
+  // were rolled back, keeping only the transforms that have been reapplied.
+  _restoreUndoable({ undoStack, redoStack, undoGroup }, transformIds) {
+    const retained = {};
+    transformIds.forEach(id => { retained[id] = true; });
+
+    this._undoGroup = null;
+
+    const restore = stack => {
+      return stack
+        .map(ids => {
+          const retainedIds = ids.filter(id => retained[id]);
+          if (ids === undoGroup && retainedIds.length > 0) {
+            this._undoGroup = retainedIds;
+          }
+          return retainedIds;
+        })
+        .filter(ids => ids.length > 0);
+    };
+
+    this._undoStack = restore(undoStack);
+    this._redoStack = restore(redoStack);
+    this.emit('undoStackChange');
+  }
+
   _applyTransform(transform) {
-    const inverse = this.cache.patch(transform.operations);
+    const inverse = this.cache.patch(transform.operations, transform.id);
     this._transforms[transform.id] = transform;
     this._transformInverses[transform.id] = inverse;
+
+    if (this._maxHistorySize !== undefined) {
+      this._transformSizes[transform.id] =
+        JSON.stringify(transform.operations).length + JSON.stringify(inverse).length;
+    }
+
+    if (this._journal) {
+      this._journal.transform(transform, inverse);
+    }
+  }
+
+  _replayJournal(journal) {
+    const ids = [];
+    const removeId = id => {
+      const index = ids.indexOf(id);
+      if (index !== -1) { ids.splice(index, 1); }
+    };
+
+    journal.read().forEach(entry => {
+      switch (entry.type) {
+        case 'snapshot':
+          this.cache.reset(entry.doc);
+          this._resetHistory();
+          ids.length = 0;
+          entry.history.forEach(({ transform, inverse }) => {
+            this._transforms[transform.id] = transform;
+            if (inverse) {
+              this._transformInverses[transform.id] = inverse;
+            }
+            ids.push(transform.id);
+          });
+          break;
+
+        case 'transform':
+          this._applyTransform(entry.transform);
+          ids.push(entry.transform.id);
+          break;
+
+        case 'rollback':
+          this._rollbackTransform(entry.transformId);
+          removeId(entry.transformId);
+          break;
+
+        case 'truncate':
+          entry.transformIds.forEach(id => {
+            this._clearTransformFromHistory(id);
+            removeId(id);
+          });
+          break;
+
+        case 'checkpoint':
+          this._transforms[entry.transform.id] = entry.transform;
+          delete this._transformInverses[entry.transform.id];
+          this._checkpointId = entry.transform.id;
+          break;
+
+        case 'clear':
+          this._resetHistory();
+          ids.length = 0;
+          break;
+      }
+    });
+
+    return ids;
+  }
+
+  _snapshotJournal() {
+    this._journal.snapshot(this.cache.get([]), this._history());
+  }
+
+  _history() {
+    return Object.keys(this._transforms).map(id => {
+      return { transform: this._transforms[id], inverse: this._transformInverses[id] };
+    });
+  }
+
+  _deserialize(data) {
+    this.cache.reset(data.doc);
+
+    this._resetHistory();
+    data.history.forEach(({ transform, inverse }) => {
+      this._transforms[transform.id] = deserializeTransform(transform);
+      if (inverse) {
+        this._transformInverses[transform.id] = inverse;
+      }
+    });
+    this._checkpointId = data.checkpointId;
+    this._savepoints = clone(data.savepoints);
+    this._undoStack = clone(data.undoStack);
+    this._redoStack = clone(data.redoStack);
+    this._undoGroup = null;
+
+    if (data.forkPoint) {
+      // Only the document at the time of the fork is needed for merging.
+      this._forkPoint = { doc: Immutable.fromJS(data.forkPoint) };
+    }
+
+    this._replaceTransformLog(data.transformLog);
+    this._observeTransformLog();
+
+    if (this._journal) {
+      this._snapshotJournal();
+    }
+  }
+
+  _replaceTransformLog(transformIds) {
+    // The new log is available immediately, unlike entries appended to the
+    // existing log.
+    this.transformLog = new TransformLog(transformIds, { name: this.transformLog.name, bucket: this.bucket });
+  }
+
+  _observeTransformLog() {
+    this.transformLog.on('append', this._logAppended, this);
+    this.transformLog.on('clear', this._logCleared, this);
+    this.transformLog.on('truncate', this._logTruncated, this);
+    this.transformLog.on('rollback', this._logRolledBack, this);
+  }
+
+  // Returns the number of the oldest transforms that must be compacted to
+  // bring the history within its limits.
+  _historyExcess() {
+    const entries = this.transformLog.entries;
+    let excess = 0;
+
+    if (this._maxHistoryLength !== undefined) {
+      excess = Math.max(entries.length - this._maxHistoryLength, 0);
+    }
+
+    if (this._maxHistorySize !== undefined) {
+      let size = 0;
+      entries.forEach(id => size += this._transformSizes[id] || 0);
+
+      let count = 0;
+      while (size > this._maxHistorySize && count < entries.length - 1) {
+        size -= this._transformSizes[entries[count]] || 0;
+        count++;
+      }
+
+      excess = Math.max(excess, count);
+    }
+
+    return excess;
+  }
+
+  _compactHistory() {
+    if (this._compactingHistory) { return; }
+
+    const excess = this._historyExcess();
+
+    if (excess === 0) { return; }
+
+    const entries = this.transformLog.entries;
+    const truncateId = entries[excess];
+
+    if (this._historyCompaction === 'coalesce') {
+      const transforms = entries
+        .slice(0, excess + 1)
+        .map(id => this._transforms[id]);
+      const checkpoint = new Transform(coalesceTransforms(transforms).operations, { id: truncateId });
+
+      this._transforms[truncateId] = checkpoint;
+      delete this._transformInverses[truncateId];
+      this._forgetUndoable(truncateId);
+      this._checkpointId = truncateId;
+
+      if (this._maxHistorySize !== undefined) {
+        this._transformSizes[truncateId] = JSON.stringify(checkpoint.operations).length;
+      }
+
+      if (this._journal) {
+        this._journal.checkpoint(checkpoint);
+      }
+    }
+
+    this._compactingHistory = true;
+
+    return this.transformLog.truncate(truncateId)
+      .then(() => {
+        this._compactingHistory = false;
+        return this._compactHistory();
+      });
   }
 
   _clearTransformFromHistory(transformId) {
     delete this._transforms[transformId];
     delete this._transformInverses[transformId];
+    delete this._transformSizes[transformId];
+    this._forgetUndoable(transformId);
+  }
+
+  _logAppended(/* transformIds, data */) {
+    this._compactHistory();
+
+    if (this._journal && this._journal.needsSnapshot) {
+      this._snapshotJournal();
+    }
   }
 
   _logCleared(/* data */) {
+    this._resetHistory();
+    this._undoStack = [];
+    this._redoStack = [];
+    this._undoGroup = null;
+    this._savepoints = {};
+    this.emit('undoStackChange');
+
+    if (this._journal) {
+      this._journal.clear();
+    }
+  }
+
+  _resetHistory() {
     this._transforms = {};
     this._transformInverses = {};
+    this._transformSizes = {};
+    this._checkpointId = null;
   }
 
   _logTruncated(transformId, relativePosition, data) {
     const prevLog = new TransformLog(data);
-    prevLog
-      .before(transformId)
-      .forEach(id => this._clearTransformFromHistory(id));
+    const truncatedIds = prevLog.before(transformId, relativePosition);
+
+    truncatedIds.forEach(id => this._clearTransformFromHistory(id));
+
+    if (this._journal) {
+      this._journal.truncate(truncatedIds);
+    }
+
+    // A checkpoint is the earliest point that can still be rolled back to.
+    const earliest = this._checkpointId && this.transformLog.contains(this._checkpointId) ? this._checkpointId : null;
+
+    Object.keys(this._savepoints).forEach(name => {
+      if (!this.transformLog.contains(this._savepoints[name])) {
+        this._savepoints[name] = earliest;
+      }
+    });
+  }
+
+  _logRolledBack(/* transformId, relativePosition, data */) {
+    Object.keys(this._savepoints).forEach(name => {
+      const transformId = this._savepoints[name];
+      if (transformId && !this.transformLog.contains(transformId)) {
+        delete this._savepoints[name];
+      }
+    });
   }
 
   _rollbackTransform(transformId) {
@@ -196,6 +1174,10 @@ export default class Store extends Source {
       this.cache.patch(inverseOperations);
     }
     this._clearTransformFromHistory(transformId);
+
+    if (this._journal) {
+      this._journal.rollback(transformId);
+    }
   }
 }
 
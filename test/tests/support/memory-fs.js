@@ -0,0 +1,31 @@
+// A minimal in-memory implementation of the synchronous `fs` methods used by
+// `Journal`.
+export default class MemoryFS {
+  constructor() {
+    this.files = {};
+  }
+
+  existsSync(path) {
+    return this.files.hasOwnProperty(path);
+  }
+
+  readFileSync(path) {
+    if (!this.existsSync(path)) {
+      throw new Error(`ENOENT: no such file, open '${path}'`);
+    }
+    return this.files[path];
+  }
+
+  appendFileSync(path, data) {
+    this.files[path] = (this.files[path] || '') + data;
+  }
+
+  writeFileSync(path, data) {
+    this.files[path] = data;
+  }
+
+  renameSync(oldPath, newPath) {
+    this.files[newPath] = this.readFileSync(oldPath);
+    delete this.files[oldPath];
+  }
+}
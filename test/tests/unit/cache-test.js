@@ -7,7 +7,7 @@ import {
 } from 'orbit/lib/exceptions';
 import {
   addRecord,
-  // replaceRecord,
+  replaceRecord,
   removeRecord,
   // replaceKey,
   replaceAttribute,
@@ -17,6 +17,9 @@ import {
   replaceHasOne
 } from 'orbit/transform/operators';
 import Cache from 'orbit-store/cache';
+import CacheIntegrityProcessor from 'orbit-store/cache/operation-processors/cache-integrity-processor';
+import SchemaConsistencyProcessor from 'orbit-store/cache/operation-processors/schema-consistency-processor';
+import AttributeIndex from 'orbit-store/cache/attribute-index';
 
 let schema, keyMap;
 
@@ -147,6 +150,27 @@ test('#patch updates the cache and returns an array of inverse ops', function(as
   );
 });
 
+test('#patch emits `beginPatch` and `endPatch` events around its operations', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+  const events = [];
+
+  cache.on('beginPatch', transformId => events.push(['beginPatch', transformId]));
+  cache.on('patch', op => events.push(['patch', op.op]));
+  cache.on('endPatch', transformId => events.push(['endPatch', transformId]));
+
+  cache.patch([
+    addRecord({ type: 'planet', id: '1', attributes: { name: 'Earth' } }),
+    addRecord({ type: 'planet', id: '2', attributes: { name: 'Mars' } })
+  ], 'abc');
+
+  assert.deepEqual(events, [
+    ['beginPatch', 'abc'],
+    ['patch', 'addRecord'],
+    ['patch', 'addRecord'],
+    ['endPatch', 'abc']
+  ]);
+});
+
 test('#patch tracks refs and clears them from hasOne relationships when a referenced record is removed', function(assert) {
   let cache = new Cache({ schema, keyMap });
 
@@ -379,6 +403,166 @@ test('#patch removing model with a bi-directional hasOne', function(assert) {
   assert.equal(cache.get(['one', '1', 'relationships', 'two', 'data']), null, 'ones link to two got removed');
 });
 
+test('#patch is atomic: if any operation fails, the cache is returned to its prior state', function(assert) {
+  const inverseSchema = new Schema({
+    models: {
+      planet: {
+        relationships: {
+          moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+        }
+      },
+      moon: {
+        relationships: {
+          planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+        }
+      }
+    }
+  });
+
+  let cache = new Cache({ schema: inverseSchema, keyMap, indexes: { planet: ['name'] } });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+  const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+  const europa = { type: 'moon', id: 'europa', attributes: { name: 'Europa' } };
+
+  cache.patch([
+    addRecord(jupiter),
+    addRecord(io),
+    replaceHasOne(io, 'planet', jupiter)
+  ]);
+
+  const doc = cache.get();
+  const rev = JSON.parse(JSON.stringify(cache._processors[1]._rev));
+
+  const onPatch = sinon.stub();
+  const onEndPatch = sinon.stub();
+  cache.on('patch', onPatch);
+  cache.on('endPatch', onEndPatch);
+
+  assert.throws(() => {
+    cache.patch([
+      replaceAttribute(jupiter, 'name', 'Zeus'),
+      addRecord(europa),
+      replaceHasOne(europa, 'planet', jupiter),
+      removeRecord(io),
+      replaceHasOne(europa, 'unknown', jupiter)
+    ]);
+  }, /Relationship not registered/, 'error is rethrown');
+
+  assert.deepEqual(cache.get(), doc, 'document is restored');
+  assert.deepEqual(cache._processors[1]._rev, rev, 'processor state is restored');
+  assert.deepEqual(cache.attributeIndex('planet', 'name').idsFor('Jupiter'), ['jupiter'], 'indexes are restored');
+  assert.deepEqual(cache.attributeIndex('planet', 'name').idsFor('Zeus'), [], 'indexes are restored');
+  assert.ok(onEndPatch.calledOnce, 'endPatch is emitted');
+
+  const patches = onPatch.getCalls().map(call => call.args[0]);
+  assert.deepEqual(
+    patches.slice(patches.length - 2),
+    [
+      removeRecord({ type: 'moon', id: 'europa' }),
+      replaceAttribute({ type: 'planet', id: 'jupiter' }, 'name', 'Jupiter')
+    ],
+    'inverses of applied operations are emitted'
+  );
+
+  cache.patch(removeRecord(jupiter));
+
+  assert.equal(cache.get(['moon', 'io', 'relationships', 'planet', 'data']), null, 'integrity is maintained after rollback');
+});
+
+test('#patch only emits the inverses of emitted operations when rolling back', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+  const patches = [];
+
+  cache.patch(addRecord({ type: 'planet', id: 'pluto', attributes: { name: 'Pluto' } }));
+  cache.on('patch', op => patches.push(op));
+
+  assert.throws(() => {
+    cache.patch([
+      addRecord(jupiter),
+      replaceAttribute({ type: 'planet', id: 'pluto' }, 'name', 'Pluto'),
+      replaceHasOne(jupiter, 'unknown', { type: 'moon', id: 'io' })
+    ]);
+  }, /Relationship not registered/, 'error is rethrown');
+
+  assert.deepEqual(
+    patches,
+    [
+      addRecord(jupiter),
+      removeRecord({ type: 'planet', id: 'jupiter' })
+    ],
+    'unchanged and failed operations are not reverted'
+  );
+});
+
+test('#patch throws an exception for unsupported operations', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  assert.throws(() => {
+    cache.patch({ op: 'unsupported', record: { type: 'planet', id: 'jupiter' } });
+  }, /Operation not allowed: unsupported/);
+});
+
+test('#snapshot and #restore capture and restore the state of the cache', function(assert) {
+  const inverseSchema = new Schema({
+    models: {
+      planet: {
+        relationships: {
+          moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+        }
+      },
+      moon: {
+        relationships: {
+          planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+        }
+      }
+    }
+  });
+
+  let cache = new Cache({ schema: inverseSchema, keyMap, indexes: { planet: ['name'] } });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+  const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+  const europa = { type: 'moon', id: 'europa', attributes: { name: 'Europa' } };
+
+  cache.patch([
+    addRecord(jupiter),
+    addRecord(io),
+    replaceHasOne(io, 'planet', jupiter)
+  ]);
+
+  const doc = cache.get();
+  const snapshot = cache.snapshot();
+
+  assert.ok(Object.isFrozen(snapshot), 'snapshot is immutable');
+
+  cache.patch([
+    replaceAttribute(jupiter, 'name', 'Zeus'),
+    addRecord(europa),
+    replaceHasOne(europa, 'planet', jupiter),
+    removeRecord(io)
+  ]);
+
+  assert.notDeepEqual(cache.get(), doc, 'document has changed');
+
+  cache.restore(snapshot);
+
+  assert.deepEqual(cache.get(), doc, 'document is restored');
+  assert.deepEqual(cache.attributeIndex('planet', 'name').idsFor('Jupiter'), ['jupiter'], 'indexes are restored');
+  assert.deepEqual(cache.attributeIndex('planet', 'name').idsFor('Zeus'), [], 'indexes are restored');
+
+  cache.patch(removeRecord(jupiter));
+
+  assert.equal(cache.get(['moon', 'io', 'relationships', 'planet', 'data']), null, 'processor state is restored');
+
+  cache.restore(snapshot);
+
+  assert.deepEqual(cache.get(), doc, 'a snapshot can be restored more than once');
+  assert.equal(cache.get(['moon', 'io', 'relationships', 'planet', 'data']), 'planet:jupiter');
+});
+
 test('#patch removes dependent records', function(assert) {
   // By making this schema recursively dependent remove we check that recursive
   // works as well.
@@ -457,6 +641,147 @@ test('#patch does not remove non-dependent records', function() {
   equal(cache.length('planet'), 1, 'One planet left in store');
 });
 
+test('#dryRun returns the operations a patch would apply, including those of processors, without applying them', function(assert) {
+  const dependentSchema = new Schema({
+    models: {
+      planet: {
+        relationships: {
+          moons: { type: 'hasMany', model: 'moon', inverse: 'planet', dependent: 'remove' }
+        }
+      },
+      moon: {
+        relationships: {
+          planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+        }
+      }
+    }
+  });
+
+  let cache = new Cache({ schema: dependentSchema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'p1', attributes: { name: 'Jupiter' } };
+  const io = { type: 'moon', id: 'm1', attributes: { name: 'Io' } };
+
+  cache.patch([
+    addRecord(jupiter),
+    addRecord(io),
+    addToHasMany(jupiter, 'moons', io)
+  ]);
+
+  const patched = [];
+  cache.on('patch', op => patched.push(op));
+  cache.on('beginPatch', () => patched.push('beginPatch'));
+
+  const doc = cache._doc;
+  const result = cache.dryRun(removeRecord(jupiter));
+
+  assert.strictEqual(cache._doc, doc, 'document is unchanged');
+  assert.deepEqual(patched, [], 'no events are emitted');
+  assert.ok(result.operations.some(op => op.op === 'removeRecord' && op.record.id === 'm1'), 'dependent record removal is included');
+
+  const inverse = cache.patch(removeRecord(jupiter));
+
+  assert.deepEqual(result.operations, patched.slice(1), 'operations match those applied by a patch');
+  assert.deepEqual(result.inverse, inverse, 'inverse matches that of a patch');
+});
+
+test('#dryRun rethrows errors and leaves the cache unchanged', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const earth = { type: 'planet', id: '1', attributes: { name: 'Earth' } };
+
+  cache.patch(addRecord(earth));
+
+  const doc = cache._doc;
+
+  assert.throws(() => {
+    cache.dryRun([
+      removeRecord(earth),
+      { op: 'unsupported', record: earth }
+    ]);
+  });
+
+  assert.strictEqual(cache._doc, doc, 'document is unchanged');
+
+  cache.patch(removeRecord(earth));
+
+  assert.equal(cache.has('planet/1'), false, 'cache can still be patched');
+});
+
+test('#dryRun restores the attribute index entries of changed records', function(assert) {
+  let cache = new Cache({ schema, keyMap, indexes: { planet: ['name'] } });
+
+  const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+  const index = cache.attributeIndex('planet', 'name');
+
+  cache.patch([addRecord(earth), addRecord(jupiter)]);
+
+  sinon.spy(index, 'update');
+  sinon.spy(index, 'reset');
+
+  cache.dryRun([
+    replaceAttribute(earth, 'name', 'Terra'),
+    addRecord({ type: 'planet', id: 'mars', attributes: { name: 'Mars' } })
+  ]);
+
+  assert.ok(!index.reset.called, 'index is not rebuilt');
+  assert.deepEqual(index.update.args.map(args => args[0]), ['earth', 'mars', 'earth'], 'only changed records are reindexed');
+  assert.deepEqual(index.idsFor('Earth'), ['earth'], 'changed entry is restored');
+  assert.deepEqual(index.idsFor('Terra'), [], 'changed entry is restored');
+  assert.deepEqual(index.idsFor('Mars'), [], 'added entry is removed');
+  assert.deepEqual(index.idsFor('Jupiter'), ['jupiter'], 'unchanged entry is kept');
+});
+
+test('#patch restores the cache when it fails after a dry run from a `patch` listener', function(assert) {
+  const inverseSchema = new Schema({
+    models: {
+      planet: {
+        relationships: {
+          moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+        }
+      },
+      moon: {
+        relationships: {
+          planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+        }
+      }
+    }
+  });
+  let cache = new Cache({ schema: inverseSchema, keyMap, indexes: { planet: ['name'] } });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+  const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+  const europa = { type: 'moon', id: 'europa', attributes: { name: 'Europa' } };
+
+  cache.patch([addRecord(jupiter), addRecord(io)]);
+
+  const doc = cache.get();
+  const rev = JSON.parse(JSON.stringify(cache._processors[1]._rev));
+
+  let dryRun;
+  cache.on('patch', operation => {
+    if (operation.op === 'replaceHasOne' && !dryRun) {
+      dryRun = cache.dryRun(removeRecord(europa));
+    }
+  });
+
+  assert.throws(() => {
+    cache.patch([
+      replaceAttribute(jupiter, 'name', 'Zeus'),
+      addRecord(europa),
+      replaceHasOne(io, 'planet', jupiter),
+      replaceHasOne(europa, 'unknown', jupiter)
+    ]);
+  }, /Relationship not registered/, 'error is rethrown');
+
+  assert.equal(dryRun.operations.length > 0, true, 'dry run is made during the patch');
+  assert.deepEqual(cache.get(), doc, 'document is restored');
+  assert.deepEqual(cache._processors[1]._rev, rev, 'processor state is restored');
+  assert.deepEqual(cache.attributeIndex('planet', 'name').idsFor('Jupiter'), ['jupiter'], 'indexes are restored');
+  assert.deepEqual(cache.attributeIndex('planet', 'name').idsFor('Zeus'), [], 'indexes are restored');
+});
+
 test('#query can retrieve an individual record with `record`', function(assert) {
   let cache = new Cache({ schema, keyMap });
 
@@ -544,122 +869,603 @@ test('#query can perform a complex conditional `or` filter', function(assert) {
   );
 });
 
-
-test('#query can sort by an attribute', function(assert) {
+test('#query can filter with `notEqual`', function(assert) {
   let cache = new Cache({ schema, keyMap });
 
-  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true } };
-  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true } };
-  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true } };
-  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false } };
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true, mass: 317.8, moonCount: 67, tags: ['giant', 'bright'] } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true, mass: 1, moonCount: 1, tags: ['home'] } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true, mass: 0.815, moonCount: 0, tags: ['bright'] } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false, mass: 0.055, moonCount: 0 } };
 
   cache.reset({ planet: { jupiter, earth, venus, mercury } });
 
   assert.deepEqual(
     cache.query(
-      oqe('sort',
-        oqe('records', 'planet'),
-        [{ field: oqe('attribute', 'name'), order: 'ascending' }]
-      )
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('notEqual', oqe('attribute', 'classification'), 'gas giant'))
     ),
-    [
+    {
       earth,
-      jupiter,
-      mercury,
-      venus
-    ]
+      venus,
+      mercury
+    }
   );
 });
 
-test('#query can sort by an attribute in descending order', function(assert) {
+test('#query can filter with `gt`, `gte`, `lt` and `lte`', function(assert) {
   let cache = new Cache({ schema, keyMap });
 
-  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true } };
-  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true } };
-  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true } };
-  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false } };
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true, mass: 317.8, moonCount: 67, tags: ['giant', 'bright'] } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true, mass: 1, moonCount: 1, tags: ['home'] } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true, mass: 0.815, moonCount: 0, tags: ['bright'] } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false, mass: 0.055, moonCount: 0 } };
 
   cache.reset({ planet: { jupiter, earth, venus, mercury } });
 
   assert.deepEqual(
     cache.query(
-      oqe('sort',
-        oqe('records', 'planet'),
-        [{ field: oqe('attribute', 'name'), order: 'descending' }]
-      )
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('gt', oqe('attribute', 'mass'), 1))
     ),
-    [
-      venus,
-      mercury,
-      jupiter,
-      earth
-    ]
+    { jupiter },
+    'gt'
   );
-});
-
-test('#query can sort by according to multiple criteria', function(assert) {
-  let cache = new Cache({ schema, keyMap });
 
-  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true } };
-  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true } };
-  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true } };
-  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false } };
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('gte', oqe('attribute', 'mass'), 1))
+    ),
+    { jupiter, earth },
+    'gte'
+  );
 
-  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('lt', oqe('attribute', 'moonCount'), 1))
+    ),
+    { venus, mercury },
+    'lt'
+  );
 
   assert.deepEqual(
     cache.query(
-      oqe('sort',
-        oqe('records', 'planet'),
-        [
-          { field: oqe('attribute', 'classification'), order: 'ascending' },
-          { field: oqe('attribute', 'name'), order: 'ascending' }
-        ]
-      )
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('and',
+            oqe('gt', oqe('attribute', 'mass'), 0.1),
+            oqe('lte', oqe('attribute', 'moonCount'), 1)
+          ))
     ),
-    [
-      jupiter,
-      earth,
-      mercury,
-      venus
-    ]
+    { earth, venus },
+    'lte combined with gt'
   );
 });
 
-test('#query can paginate using offset', function(assert) {
+test('#query can filter with `in`', function(assert) {
   let cache = new Cache({ schema, keyMap });
 
-  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true } };
-  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true } };
-  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true } };
-  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false } };
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true, mass: 317.8, moonCount: 67, tags: ['giant', 'bright'] } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true, mass: 1, moonCount: 1, tags: ['home'] } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true, mass: 0.815, moonCount: 0, tags: ['bright'] } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false, mass: 0.055, moonCount: 0 } };
 
   cache.reset({ planet: { jupiter, earth, venus, mercury } });
 
   assert.deepEqual(
     cache.query(
-      oqe('page',
-        oqe('sort',
+      oqe('filter',
           oqe('records', 'planet'),
-          [{ field: oqe('attribute', 'name'), order: 'ascending' }]),
-        { offset: 1 }
-      )
+          oqe('in', oqe('attribute', 'name'), ['Earth', 'Mercury', 'Pluto']))
     ),
-    [
-      jupiter,
-      mercury,
-      venus
-    ]
+    {
+      earth,
+      mercury
+    }
   );
 });
 
-test('#query can paginate using limit', function(assert) {
+test('#query can filter with `contains`', function(assert) {
   let cache = new Cache({ schema, keyMap });
 
-  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true } };
-  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true } };
-  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true } };
-  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false } };
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true, mass: 317.8, moonCount: 67, tags: ['giant', 'bright'] } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true, mass: 1, moonCount: 1, tags: ['home'] } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true, mass: 0.815, moonCount: 0, tags: ['bright'] } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false, mass: 0.055, moonCount: 0 } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('contains', oqe('attribute', 'tags'), 'bright'))
+    ),
+    {
+      jupiter,
+      venus
+    },
+    'matches members of array attributes'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('contains', oqe('attribute', 'name'), 'er'))
+    ),
+    {
+      jupiter,
+      mercury
+    },
+    'matches substrings of string attributes'
+  );
+});
+
+test('#query can filter with `not`', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true, mass: 317.8, moonCount: 67, tags: ['giant', 'bright'] } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true, mass: 1, moonCount: 1, tags: ['home'] } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true, mass: 0.815, moonCount: 0, tags: ['bright'] } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false, mass: 0.055, moonCount: 0 } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('not',
+            oqe('or',
+              oqe('equal', oqe('attribute', 'classification'), 'gas giant'),
+              oqe('equal', oqe('attribute', 'atmosphere'), false)
+            )))
+    ),
+    {
+      earth,
+      venus
+    }
+  );
+});
+
+
+test('#attributeIndex returns indexes declared with the `indexes` option', function(assert) {
+  let cache = new Cache({ schema, keyMap, indexes: { planet: ['name', 'classification'] } });
+
+  assert.ok(cache.attributeIndex('planet', 'name'), 'index exists');
+  assert.equal(cache.attributeIndex('planet', 'classification').attribute, 'classification', 'index exists');
+  assert.strictEqual(cache.attributeIndex('planet', 'atmosphere'), undefined, 'undeclared attribute is not indexed');
+  assert.strictEqual(cache.attributeIndex('moon', 'name'), undefined, 'undeclared type is not indexed');
+});
+
+test('#patch keeps attribute indexes current', function(assert) {
+  let cache = new Cache({ schema, keyMap, indexes: { planet: ['classification'] } });
+  let index = cache.attributeIndex('planet', 'classification');
+
+  cache.patch([
+    addRecord({ type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } }),
+    addRecord({ type: 'planet', id: 'pluto', attributes: { name: 'Pluto', classification: 'planet' } })
+  ]);
+
+  assert.deepEqual(index.idsFor('gas giant'), ['jupiter'], 'addRecord is indexed');
+  assert.deepEqual(index.idsFor('planet'), ['pluto'], 'addRecord is indexed');
+
+  cache.patch(replaceAttribute({ type: 'planet', id: 'pluto' }, 'classification', 'dwarf planet'));
+
+  assert.deepEqual(index.idsFor('planet'), [], 'replaceAttribute removes previous value');
+  assert.deepEqual(index.idsFor('dwarf planet'), ['pluto'], 'replaceAttribute is indexed');
+
+  cache.patch(replaceRecord({ type: 'planet', id: 'jupiter', attributes: { classification: 'giant' } }));
+
+  assert.deepEqual(index.idsFor('gas giant'), [], 'replaceRecord removes previous value');
+  assert.deepEqual(index.idsFor('giant'), ['jupiter'], 'replaceRecord is indexed');
+
+  cache.patch(removeRecord({ type: 'planet', id: 'pluto' }));
+
+  assert.ok(!index.has('pluto'), 'removeRecord is removed from the index');
+  assert.deepEqual(index.idsFor('dwarf planet'), []);
+});
+
+test('#reset rebuilds attribute indexes', function(assert) {
+  let cache = new Cache({ schema, keyMap, indexes: { planet: ['classification'] } });
+  let index = cache.attributeIndex('planet', 'classification');
+
+  cache.patch(addRecord({ type: 'planet', id: 'pluto', attributes: { name: 'Pluto', classification: 'planet' } }));
+
+  cache.reset({ planet: { jupiter: { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } } } });
+
+  assert.ok(!index.has('pluto'), 'previous records are no longer indexed');
+  assert.deepEqual(index.idsFor('gas giant'), ['jupiter'], 'reset data is indexed');
+});
+
+test('a cache with a `base` inherits its indexes', function(assert) {
+  let base = new Cache({ schema, keyMap, indexes: { planet: ['classification'] } });
+
+  base.patch(addRecord({ type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } }));
+
+  let cache = new Cache({ schema, keyMap, base });
+  let index = cache.attributeIndex('planet', 'classification');
+
+  assert.ok(index, 'index is declared');
+  assert.notStrictEqual(index, base.attributeIndex('planet', 'classification'), 'index is not shared with base');
+  assert.deepEqual(index.idsFor('gas giant'), ['jupiter'], 'base data is indexed');
+
+  cache.patch(replaceAttribute({ type: 'planet', id: 'jupiter' }, 'classification', 'planet'));
+
+  assert.deepEqual(index.idsFor('planet'), ['jupiter'], 'index is updated');
+  assert.deepEqual(base.attributeIndex('planet', 'classification').idsFor('gas giant'), ['jupiter'], 'base index is unchanged');
+});
+
+test('#restore and forks reuse index entries instead of rebuilding indexes', function(assert) {
+  let cache = new Cache({ schema, keyMap, indexes: { planet: ['name'] } });
+
+  cache.patch(addRecord({ type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } }));
+
+  const snapshot = cache.snapshot();
+
+  const update = sinon.spy(AttributeIndex.prototype, 'update');
+
+  cache.restore(snapshot);
+
+  let fork = new Cache({ schema, keyMap, base: cache });
+
+  update.restore();
+
+  assert.ok(!update.called, 'indexes are not rebuilt');
+  assert.deepEqual(cache.attributeIndex('planet', 'name').idsFor('Jupiter'), ['jupiter'], 'index is restored');
+  assert.deepEqual(fork.attributeIndex('planet', 'name').idsFor('Jupiter'), ['jupiter'], 'index is inherited');
+});
+
+test('a cache with a `base` inherits its processors and their state', function(assert) {
+  const inverseSchema = new Schema({
+    models: {
+      planet: {
+        relationships: {
+          moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+        }
+      },
+      moon: {
+        relationships: {
+          planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+        }
+      }
+    }
+  });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+  const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+
+  let base = new Cache({ schema: inverseSchema, keyMap, processors: [CacheIntegrityProcessor, SchemaConsistencyProcessor] });
+
+  base.patch([
+    addRecord(jupiter),
+    addRecord(io),
+    replaceHasOne(io, 'planet', jupiter)
+  ]);
+
+  let cache = new Cache({ schema: inverseSchema, keyMap, base });
+
+  assert.deepEqual(cache._processors.map(p => p.constructor), [CacheIntegrityProcessor, SchemaConsistencyProcessor], 'processors are inherited');
+  assert.deepEqual(cache._processors[0]._rev, base._processors[0]._rev, 'processor state is inherited');
+
+  cache.patch(removeRecord(jupiter));
+
+  assert.equal(cache.get(['moon', 'io', 'relationships', 'planet', 'data']), null, 'references that existed in the base are removed');
+  assert.equal(base.get(['moon', 'io', 'relationships', 'planet', 'data']), 'planet:jupiter', 'base is unchanged');
+
+  base.patch(removeRecord(jupiter));
+
+  assert.equal(base.get(['moon', 'io', 'relationships', 'planet', 'data']), null, 'base processor state is unaffected by the fork');
+});
+
+test('#query uses attribute indexes to filter with `equal` and `in`', function(assert) {
+  let cache = new Cache({ schema, keyMap, indexes: { planet: ['classification'] } });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  const index = cache.attributeIndex('planet', 'classification');
+  sinon.spy(index, 'idsFor');
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('and',
+            oqe('equal', oqe('attribute', 'classification'), 'terrestrial'),
+            oqe('equal', oqe('attribute', 'atmosphere'), true)
+          ))
+    ),
+    {
+      earth,
+      venus
+    },
+    'equal'
+  );
+
+  assert.ok(index.idsFor.calledWith('terrestrial'), 'index was used');
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('in', oqe('attribute', 'classification'), ['gas giant', 'ice giant']))
+    ),
+    {
+      jupiter
+    },
+    'in'
+  );
+
+  assert.ok(index.idsFor.calledWith('ice giant'), 'index was used');
+});
+
+test('#query uses attribute indexes to sort', function(assert) {
+  let cache = new Cache({ schema, keyMap, indexes: { planet: ['name'] } });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  const index = cache.attributeIndex('planet', 'name');
+  sinon.spy(index, 'valueFor');
+
+  assert.deepEqual(
+    cache.query(
+      oqe('sort',
+        oqe('records', 'planet'),
+        [{ field: oqe('attribute', 'name'), order: 'descending' }]
+      )
+    ),
+    [
+      venus,
+      mercury,
+      jupiter,
+      earth
+    ]
+  );
+
+  assert.equal(index.valueFor.callCount, 4, 'index was used');
+});
+
+test('#query can filter by a hasOne relationship with `relatedRecordEqual`', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' }, relationships: { moons: { data: { 'moon:io': true, 'moon:europa': true } } } };
+  const io = { type: 'moon', id: 'io', attributes: { name: 'Io' }, relationships: { planet: { data: 'planet:jupiter' } } };
+  const europa = { type: 'moon', id: 'europa', attributes: { name: 'Europa' }, relationships: { planet: { data: 'planet:jupiter' } } };
+  const titan = { type: 'moon', id: 'titan', attributes: { name: 'Titan' }, relationships: { planet: { data: 'planet:saturn' } } };
+  const phobos = { type: 'moon', id: 'phobos', attributes: { name: 'Phobos' }, relationships: { planet: { data: null } } };
+
+  cache.reset({ planet: { jupiter }, moon: { io, europa, titan, phobos } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'moon'),
+          oqe('relatedRecordEqual', 'planet', { type: 'planet', id: 'jupiter' }))
+    ),
+    {
+      io,
+      europa
+    },
+    'matches a related record'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'moon'),
+          oqe('relatedRecordEqual', 'planet', null))
+    ),
+    {
+      phobos
+    },
+    'matches an empty relationship'
+  );
+});
+
+test('#query can filter by a hasMany relationship', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' }, relationships: { moons: { data: { 'moon:io': true, 'moon:europa': true } } } };
+  const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' }, relationships: { moons: { data: { 'moon:titan': true } } } };
+  const venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus' }, relationships: { moons: { data: {} } } };
+  const mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury' } };
+
+  cache.reset({ planet: { jupiter, saturn, venus, mercury } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('relatedRecordsContain', 'moons', { type: 'moon', id: 'titan' }))
+    ),
+    {
+      saturn
+    },
+    'relatedRecordsContain'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('relatedRecordsContainAll', 'moons', [{ type: 'moon', id: 'io' }, { type: 'moon', id: 'europa' }]))
+    ),
+    {
+      jupiter
+    },
+    'relatedRecordsContainAll'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('relatedRecordsEmpty', 'moons'))
+    ),
+    {
+      venus,
+      mercury
+    },
+    'relatedRecordsEmpty'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('not', oqe('relatedRecordsEmpty', 'moons')))
+    ),
+    {
+      jupiter,
+      saturn
+    },
+    'planets that have any moons'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('gt', oqe('relatedRecordsCount', 'moons'), 1))
+    ),
+    {
+      jupiter
+    },
+    'relatedRecordsCount'
+  );
+});
+
+test('#query can sort by an attribute', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('sort',
+        oqe('records', 'planet'),
+        [{ field: oqe('attribute', 'name'), order: 'ascending' }]
+      )
+    ),
+    [
+      earth,
+      jupiter,
+      mercury,
+      venus
+    ]
+  );
+});
+
+test('#query can sort by an attribute in descending order', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('sort',
+        oqe('records', 'planet'),
+        [{ field: oqe('attribute', 'name'), order: 'descending' }]
+      )
+    ),
+    [
+      venus,
+      mercury,
+      jupiter,
+      earth
+    ]
+  );
+});
+
+test('#query can sort by according to multiple criteria', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('sort',
+        oqe('records', 'planet'),
+        [
+          { field: oqe('attribute', 'classification'), order: 'ascending' },
+          { field: oqe('attribute', 'name'), order: 'ascending' }
+        ]
+      )
+    ),
+    [
+      jupiter,
+      earth,
+      mercury,
+      venus
+    ]
+  );
+});
+
+test('#query can paginate using offset', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('page',
+        oqe('sort',
+          oqe('records', 'planet'),
+          [{ field: oqe('attribute', 'name'), order: 'ascending' }]),
+        { offset: 1 }
+      )
+    ),
+    [
+      jupiter,
+      mercury,
+      venus
+    ]
+  );
+});
+
+test('#query can paginate using limit', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', atmosphere: true } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial', atmosphere: true } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial', atmosphere: false } };
 
   cache.reset({ planet: { jupiter, earth, venus, mercury } });
 
@@ -705,7 +1511,118 @@ test('#query can paginate using offset and limit', function(assert) {
   );
 });
 
-test('#query cannot paginate without sorting', function(assert) {
+test('#query can paginate using cursors', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus' } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury' } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  const sorted = oqe('sort', oqe('records', 'planet'), [{ field: oqe('attribute', 'name'), order: 'ascending' }]);
+  const page = options => cache.query(oqe('page', sorted, options));
+
+  assert.deepEqual(page({ first: 2 }), {
+    data: [earth, jupiter],
+    pageInfo: {
+      hasPreviousPage: false,
+      hasNextPage: true,
+      startCursor: ['Earth', 'earth'],
+      endCursor: ['Jupiter', 'jupiter']
+    },
+    total: 4
+  }, 'first page');
+
+  const next = page({ first: 2, after: { type: 'planet', id: 'jupiter' } });
+  assert.deepEqual(next.data, [mercury, venus], 'page after a record');
+  assert.equal(next.pageInfo.hasPreviousPage, true, 'has previous page');
+  assert.equal(next.pageInfo.hasNextPage, false, 'has no next page');
+
+  const previous = page({ last: 2, before: { type: 'planet', id: 'venus' } });
+  assert.deepEqual(previous.data, [jupiter, mercury], 'last records before a record');
+  assert.equal(previous.pageInfo.hasPreviousPage, true, 'has previous page');
+  assert.equal(previous.pageInfo.hasNextPage, true, 'has next page');
+
+  assert.deepEqual(page({ after: ['Jupiter'] }).data, [mercury, venus], 'page after a sort key');
+  assert.deepEqual(page({ after: ['Ganymede'], first: 1 }).data, [jupiter], 'sort keys need not match a record');
+  assert.deepEqual(page({ before: ['Mercury'] }).data, [earth, jupiter], 'page before a sort key');
+
+  cache.patch(addRecord({ type: 'planet', id: 'mars', attributes: { name: 'Mars' } }));
+
+  assert.deepEqual(page({ first: 2, after: { type: 'planet', id: 'jupiter' } }).data[0].id, 'mars', 'inserted records are not skipped');
+  assert.equal(page({ first: 2 }).total, 5, 'total reflects changes');
+
+  const first = page({ first: 1 });
+  cache.patch(removeRecord(earth));
+
+  assert.deepEqual(page({ first: 1, after: first.pageInfo.endCursor }).data, [jupiter], 'cursors remain valid after their records are removed');
+});
+
+test('#query returns cursors for unsorted pages in their default order', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus' } };
+
+  cache.reset({ planet: { jupiter, earth, venus } });
+
+  const page = options => cache.query(oqe('page', oqe('records', 'planet'), options));
+  const first = page({ first: 1 });
+
+  assert.deepEqual(first.pageInfo.endCursor, ['planet', 'earth'], 'cursors are the type and id of records');
+
+  cache.patch(removeRecord(earth));
+
+  assert.deepEqual(page({ first: 1, after: first.pageInfo.endCursor }).data, [jupiter], 'cursors remain valid after their records are removed');
+});
+
+test('#query orders records with equal sort values by id', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let b = { type: 'planet', id: 'b', attributes: { name: 'X' } };
+  let c = { type: 'planet', id: 'c', attributes: { name: 'Y' } };
+  let a = { type: 'planet', id: 'a', attributes: { name: 'X' } };
+
+  cache.reset({ planet: { b, c, a } });
+
+  const sorted = oqe('sort', oqe('records', 'planet'), [{ field: oqe('attribute', 'name'), order: 'ascending' }]);
+  const page = options => cache.query(oqe('page', sorted, options)).data;
+
+  assert.deepEqual(cache.query(sorted), [a, b, c], 'ties are ordered by id');
+  assert.deepEqual(page({ first: 1 }), [a], 'first page');
+  assert.deepEqual(page({ after: ['X', 'a'] }), [b, c], 'cursors with an id include tied records after it');
+  assert.deepEqual(page({ before: ['X', 'b'] }), [a], 'cursors with an id include tied records before it');
+  assert.deepEqual(page({ after: ['X'] }), [c], 'cursors without an id follow all tied records');
+});
+
+test('#query cannot paginate with an invalid cursor', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  cache.reset({ planet: { earth: { type: 'planet', id: 'earth', attributes: { name: 'Earth' } } } });
+
+  const sorted = oqe('sort', oqe('records', 'planet'), [{ field: oqe('attribute', 'name'), order: 'ascending' }]);
+
+  assert.throws(
+    () => cache.query(oqe('page', sorted, { after: { type: 'planet', id: 'pluto' } })),
+    RecordNotFoundException,
+    'record cursors must exist'
+  );
+
+  assert.throws(
+    () => cache.query(oqe('page', sorted, { after: 'earth' })),
+    new QueryExpressionParseError('Pagination cursors must be either record identities or arrays of sort values.')
+  );
+
+  assert.throws(
+    () => cache.query(oqe('page', sorted, { first: 1, limit: 1 })),
+    new QueryExpressionParseError('Query results cannot be paginated with both cursors and offsets.')
+  );
+});
+
+test('#query paginates unsorted results in their default order', function(assert) {
   let cache = new Cache({ schema, keyMap });
 
   let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', atmosphere: true } };
@@ -715,19 +1632,287 @@ test('#query cannot paginate without sorting', function(assert) {
 
   cache.reset({ planet: { jupiter, earth, venus, mercury } });
 
-  assert.throws(
-    () => {
-      cache.query(
-        oqe('page',
+  assert.deepEqual(
+    cache.query(
+      oqe('page',
+        oqe('records', 'planet'),
+        { offset: 1, limit: 2 }
+      )
+    ),
+    [jupiter, mercury],
+    'records are ordered by id'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('page',
+        oqe('filter',
           oqe('records', 'planet'),
-          { offset: 1, limit: 10 }
-        )
-      );
+          oqe('equal', oqe('attribute', 'atmosphere'), true)),
+        { first: 2, after: { type: 'planet', id: 'earth' } }
+      )
+    ).data,
+    [jupiter, venus],
+    'filtered records can be paginated with cursors'
+  );
+});
+
+test('#query orders unsorted results by each type\'s `defaultSort`', function(assert) {
+  let cache = new Cache({ schema, keyMap, defaultSort: { planet: ['-classification', { attribute: 'name' }] } });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial' } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial' } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial' } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  assert.deepEqual(
+    cache.defaultSort('planet'),
+    [{ attribute: 'classification', order: 'descending' }, { attribute: 'name', order: 'ascending' }],
+    'sort specifiers are normalized'
+  );
+  assert.deepEqual(cache.defaultSort('moon'), [], 'types without a default sort have none');
+
+  assert.deepEqual(
+    cache.query(oqe('page', oqe('records', 'planet'), { limit: 3 })),
+    [earth, mercury, venus],
+    'pages are ordered by the default sort'
+  );
+
+  assert.deepEqual(
+    new Cache({ schema, keyMap, base: cache }).query(oqe('ordered', oqe('records', 'planet'))),
+    [earth, mercury, venus, jupiter],
+    'forks inherit default sorts'
+  );
+});
+
+test('#query returns sparse records with `fields`', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', keys: { remoteId: 'p1' }, attributes: { name: 'Jupiter', classification: 'gas giant' }, relationships: { moons: { data: { 'moon:io': true } } } };
+  let earth = { type: 'planet', id: 'earth', keys: { remoteId: 'p2' }, attributes: { name: 'Earth', classification: 'terrestrial' }, relationships: { moons: { data: {} } } };
+  let io = { type: 'moon', id: 'io', attributes: { name: 'Io' }, relationships: { planet: { data: 'planet:jupiter' } } };
+
+  cache.reset({ planet: { jupiter, earth }, moon: { io } });
+
+  const fields = { planet: ['name', 'remoteId', 'moons'], moon: ['name'] };
+
+  assert.deepEqual(
+    cache.query(oqe('fields', oqe('records', 'planet'), fields)),
+    {
+      jupiter: { type: 'planet', id: 'jupiter', keys: { remoteId: 'p1' }, attributes: { name: 'Jupiter' }, relationships: { moons: { data: { 'moon:io': true } } } },
+      earth: { type: 'planet', id: 'earth', keys: { remoteId: 'p2' }, attributes: { name: 'Earth' }, relationships: { moons: { data: {} } } }
+    },
+    'records'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('fields', oqe('record', { type: 'moon', id: 'io' }), fields)),
+    { type: 'moon', id: 'io', attributes: { name: 'Io' } },
+    'record'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('fields', oqe('relatedRecords', { type: 'planet', id: 'jupiter' }, 'moons'), { moon: [] })),
+    { io: { type: 'moon', id: 'io' } },
+    'related records'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('fields', oqe('relatedRecord', { type: 'moon', id: 'io' }, 'planet'), { moon: ['name'] })),
+    jupiter,
+    'types without fields are returned in full'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('fields',
+      oqe('page',
+        oqe('filter', oqe('records', 'planet'), oqe('equal', oqe('attribute', 'classification'), 'terrestrial')),
+        { first: 1 }),
+      { planet: ['name'] })),
+    {
+      data: [{ type: 'planet', id: 'earth', attributes: { name: 'Earth' } }],
+      pageInfo: {
+        hasPreviousPage: false,
+        hasNextPage: false,
+        startCursor: ['planet', 'earth'],
+        endCursor: ['planet', 'earth']
+      },
+      total: 1
+    },
+    'pages'
+  );
+
+  assert.throws(
+    () => cache.query(oqe('fields', oqe('record', { type: 'moon', id: 'europa' }), fields)),
+    new RecordNotFoundException('moon', 'europa'),
+    'missing records are not found'
+  );
+});
+
+test('#query includes related records with `include`', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' }, relationships: { moons: { data: { 'moon:io': true, 'moon:europa': true } } } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' }, relationships: { moons: { data: { 'moon:moon': true } } } };
+  let io = { type: 'moon', id: 'io', attributes: { name: 'Io' }, relationships: { planet: { data: 'planet:jupiter' } } };
+  let europa = { type: 'moon', id: 'europa', attributes: { name: 'Europa' }, relationships: { planet: { data: 'planet:jupiter' } } };
+  let moon = { type: 'moon', id: 'moon', attributes: { name: 'Moon' }, relationships: { planet: { data: 'planet:earth' } } };
+
+  cache.reset({ planet: { jupiter, earth }, moon: { io, europa, moon } });
+
+  assert.deepEqual(
+    cache.query(oqe('include', oqe('record', { type: 'planet', id: 'jupiter' }), ['moons'])),
+    { data: jupiter, included: [io, europa] },
+    'record'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('include', oqe('record', { type: 'moon', id: 'io' }), 'planet.moons')),
+    { data: io, included: [jupiter, europa] },
+    'nested paths include each record once, excluding primary records'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('include', oqe('filter', oqe('records', 'moon'), oqe('equal', oqe('attribute', 'name'), 'Moon')), ['planet', 'planet.moons'])),
+    { data: { moon }, included: [earth] },
+    'records'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('include', oqe('page', oqe('records', 'planet'), { first: 1 }), ['moons'])),
+    {
+      data: [earth],
+      pageInfo: {
+        hasPreviousPage: false,
+        hasNextPage: true,
+        startCursor: ['planet', 'earth'],
+        endCursor: ['planet', 'earth']
+      },
+      total: 2,
+      included: [moon]
     },
-    new QueryExpressionParseError('Query results cannot be paginated without specifying a sort order.')
+    'pages'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('fields', oqe('include', oqe('record', { type: 'moon', id: 'moon' }), ['planet']), { planet: ['name'], moon: ['name'] })),
+    { data: { type: 'moon', id: 'moon', attributes: { name: 'Moon' } }, included: [{ type: 'planet', id: 'earth', attributes: { name: 'Earth' } }] },
+    'included records can be sparse'
+  );
+
+  assert.throws(
+    () => cache.query(oqe('include', oqe('records', 'planet'), ['moons.rings'])),
+    new QueryExpressionParseError('Relationship `rings` of `moon` cannot be included because it is not defined.'),
+    'undefined relationships cannot be included'
+  );
+});
+
+test('#query returns any results as an ordered array with `ordered`', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' }, relationships: { moons: { data: { 'moon:io': true, 'moon:callisto': true } } } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+  let io = { type: 'moon', id: 'io', attributes: { name: 'Io' }, relationships: { planet: { data: 'planet:jupiter' } } };
+  let callisto = { type: 'moon', id: 'callisto', attributes: { name: 'Callisto' }, relationships: { planet: { data: 'planet:jupiter' } } };
+
+  cache.reset({ planet: { jupiter, earth }, moon: { io, callisto } });
+
+  assert.deepEqual(cache.query(oqe('ordered', oqe('records', 'planet'))), [earth, jupiter], 'records');
+  assert.deepEqual(cache.query(oqe('ordered', oqe('records', 'comet'))), [], 'no records');
+  assert.deepEqual(
+    cache.query(oqe('ordered', oqe('relatedRecords', { type: 'planet', id: 'jupiter' }, 'moons'))),
+    [callisto, io],
+    'related records'
+  );
+  assert.deepEqual(
+    cache.query(oqe('ordered', oqe('relatedRecord', { type: 'moon', id: 'io' }, 'planet'))),
+    [jupiter],
+    'related record'
+  );
+  assert.deepEqual(
+    cache.query(oqe('ordered', oqe('sort', oqe('records', 'planet'), [{ field: oqe('attribute', 'name'), order: 'descending' }]))),
+    [jupiter, earth],
+    'sorted records keep their order'
   );
 });
 
+test('#query can aggregate records with `count`, `sum`, `min`, `max` and `avg`', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', moonCount: 67 } };
+  const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', moonCount: 1 } };
+  const mars = { type: 'planet', id: 'mars', attributes: { name: 'Mars', moonCount: 2 } };
+  const pluto = { type: 'planet', id: 'pluto', attributes: { name: 'Pluto' } };
+
+  cache.reset({ planet: { jupiter, earth, mars, pluto } });
+
+  const planets = oqe('records', 'planet');
+
+  assert.equal(cache.query(oqe('count', planets)), 4, 'count');
+  assert.equal(cache.query(oqe('sum', planets, 'moonCount')), 70, 'sum ignores missing values');
+  assert.equal(cache.query(oqe('min', planets, 'moonCount')), 1, 'min');
+  assert.equal(cache.query(oqe('max', planets, 'moonCount')), 67, 'max');
+  assert.equal(cache.query(oqe('avg', planets, 'moonCount')), 70 / 3, 'avg ignores missing values');
+  assert.equal(cache.query(oqe('max', planets, 'name')), 'Pluto', 'max compares strings');
+
+  const smallPlanets = oqe('filter', planets, oqe('lt', oqe('attribute', 'moonCount'), 10));
+
+  assert.equal(cache.query(oqe('count', smallPlanets)), 2, 'count of filtered records');
+  assert.equal(cache.query(oqe('sum', smallPlanets, 'moonCount')), 3, 'sum of filtered records');
+  assert.equal(cache.query(oqe('count', oqe('sort', planets, [{ field: oqe('attribute', 'name'), order: 'ascending' }]))), 4, 'count of sorted records');
+});
+
+test('#query can aggregate and order the records of a page selected with cursors', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', moonCount: 67 } };
+  const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', moonCount: 1 } };
+  const mars = { type: 'planet', id: 'mars', attributes: { name: 'Mars', moonCount: 2 } };
+
+  cache.reset({ planet: { jupiter, earth, mars } });
+
+  const sorted = oqe('sort', oqe('records', 'planet'), [{ field: oqe('attribute', 'name'), order: 'ascending' }]);
+  const firstPage = oqe('page', sorted, { first: 2 });
+
+  assert.equal(cache.query(oqe('count', firstPage)), 2, 'count');
+  assert.equal(cache.query(oqe('sum', firstPage, 'moonCount')), 68, 'sum');
+  assert.equal(cache.query(oqe('max', firstPage, 'name')), 'Jupiter', 'max');
+  assert.deepEqual(cache.query(oqe('ordered', firstPage)), [earth, jupiter], 'ordered');
+});
+
+test('#query aggregates of no records', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const planets = oqe('records', 'planet');
+
+  assert.equal(cache.query(oqe('count', planets)), 0, 'count');
+  assert.equal(cache.query(oqe('sum', planets, 'moonCount')), 0, 'sum');
+  assert.strictEqual(cache.query(oqe('min', planets, 'moonCount')), null, 'min');
+  assert.strictEqual(cache.query(oqe('max', planets, 'moonCount')), null, 'max');
+  assert.strictEqual(cache.query(oqe('avg', planets, 'moonCount')), null, 'avg');
+  assert.deepEqual(cache.query(oqe('groupBy', planets, 'classification')), {}, 'groupBy');
+});
+
+test('#query can count related records and group records with `groupBy`', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { classification: 'gas giant' }, relationships: { moons: { data: { 'moon:io': true, 'moon:europa': true } } } };
+  const saturn = { type: 'planet', id: 'saturn', attributes: { classification: 'gas giant' } };
+  const earth = { type: 'planet', id: 'earth', attributes: { classification: 'terrestrial' } };
+  const io = { type: 'moon', id: 'io', relationships: { planet: { data: 'planet:jupiter' } } };
+  const europa = { type: 'moon', id: 'europa', relationships: { planet: { data: 'planet:jupiter' } } };
+
+  cache.reset({ planet: { jupiter, saturn, earth }, moon: { io, europa } });
+
+  assert.equal(cache.query(oqe('count', oqe('relatedRecords', jupiter, 'moons'))), 2, 'count of related records');
+  assert.deepEqual(cache.query(oqe('groupBy', oqe('records', 'planet'), 'classification')), {
+    'gas giant': [jupiter, saturn],
+    'terrestrial': [earth]
+  }, 'records are grouped by attribute value');
+});
+
 test('#query - record', function(assert) {
   let cache = new Cache({ schema, keyMap });
 
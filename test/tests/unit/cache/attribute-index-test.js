@@ -0,0 +1,93 @@
+import AttributeIndex from 'orbit-store/cache/attribute-index';
+
+module('OC - Cache - AttributeIndex', function(hooks) {
+  let index;
+
+  hooks.beforeEach(function() {
+    index = new AttributeIndex('planet', 'classification');
+  });
+
+  test('it exists', function(assert) {
+    assert.ok(index);
+    assert.equal(index.type, 'planet', 'type is assigned');
+    assert.equal(index.attribute, 'classification', 'attribute is assigned');
+  });
+
+  test('#update indexes a value for a record', function(assert) {
+    index.update('jupiter', 'gas giant');
+    index.update('saturn', 'gas giant');
+    index.update('earth', 'terrestrial');
+
+    assert.ok(index.has('jupiter'), 'record is indexed');
+    assert.equal(index.valueFor('jupiter'), 'gas giant', 'value is indexed');
+    assert.deepEqual(index.idsFor('gas giant'), ['jupiter', 'saturn'], 'ids can be looked up by value');
+    assert.deepEqual(index.idsFor('terrestrial'), ['earth'], 'ids can be looked up by value');
+    assert.deepEqual(index.idsFor('ice giant'), [], 'no ids are returned for unknown values');
+  });
+
+  test('#update replaces the previously indexed value', function(assert) {
+    index.update('pluto', 'planet');
+    index.update('pluto', 'dwarf planet');
+
+    assert.equal(index.valueFor('pluto'), 'dwarf planet');
+    assert.deepEqual(index.idsFor('planet'), [], 'previous value no longer matches');
+    assert.deepEqual(index.idsFor('dwarf planet'), ['pluto'], 'current value matches');
+  });
+
+  test('#update distinguishes values of different types', function(assert) {
+    index.update('a', 1);
+    index.update('b', '1');
+
+    assert.deepEqual(index.idsFor(1), ['a']);
+    assert.deepEqual(index.idsFor('1'), ['b']);
+  });
+
+  test('#remove removes a record from the index', function(assert) {
+    index.update('jupiter', 'gas giant');
+    index.update('saturn', 'gas giant');
+
+    index.remove('jupiter');
+
+    assert.ok(!index.has('jupiter'), 'record is no longer indexed');
+    assert.strictEqual(index.valueFor('jupiter'), undefined, 'value is no longer indexed');
+    assert.deepEqual(index.idsFor('gas giant'), ['saturn']);
+
+    index.remove('jupiter');
+    assert.deepEqual(index.idsFor('gas giant'), ['saturn'], 'removing an unindexed record is a noop');
+  });
+
+  test('#reset removes all entries', function(assert) {
+    index.update('jupiter', 'gas giant');
+
+    index.reset();
+
+    assert.ok(!index.has('jupiter'));
+    assert.deepEqual(index.idsFor('gas giant'), []);
+  });
+
+  test('#snapshot and #restore capture and restore the entries of the index', function(assert) {
+    index.update('jupiter', 'gas giant');
+    index.update('saturn', 'gas giant');
+
+    const snapshot = index.snapshot();
+
+    index.update('jupiter', 'planet');
+    index.remove('saturn');
+    index.update('earth', 'terrestrial');
+
+    const other = new AttributeIndex('planet', 'classification');
+    other.restore(snapshot);
+
+    assert.deepEqual(other.idsFor('gas giant'), ['jupiter', 'saturn'], 'snapshot is unchanged by later updates');
+    assert.ok(!other.has('earth'), 'snapshot is unchanged by later updates');
+
+    other.update('saturn', 'ice giant');
+
+    index.restore(snapshot);
+
+    assert.deepEqual(index.idsFor('gas giant'), ['jupiter', 'saturn'], 'entries are restored');
+    assert.deepEqual(index.idsFor('planet'), [], 'entries are restored');
+    assert.deepEqual(index.idsFor('terrestrial'), [], 'entries are restored');
+    assert.deepEqual(other.idsFor('ice giant'), ['saturn'], 'indexes restored from the same snapshot are independent');
+  });
+});
@@ -2,6 +2,7 @@ import Schema from 'orbit/schema';
 import KeyMap from 'orbit/key-map';
 import { identity } from 'orbit/lib/identifiers';
 import qb from 'orbit/query/builder';
+import { queryExpression as oqe } from 'orbit/query/expression';
 import {
   addRecord,
   // replaceRecord,
@@ -202,6 +203,32 @@ module('OC - Cache - liveQuery', function(hooks) {
     ]);
   });
 
+  test('filter - relationship change that causes add to and removal from matches', function(assert) {
+    const done = assert.async();
+
+    cache.patch([
+      addRecord(jupiter),
+      addRecord(pluto)
+    ]);
+
+    const liveQuery = cache.liveQuery(
+      qb.records('planet').filter(() => oqe('relatedRecordsContain', 'moons', identity(callisto)))
+    );
+
+    liveQuery.take(2).toArray().subscribe(operations => {
+      assert.matchesPattern(operations[0], { op: 'addRecord', record: { id: 'jupiter' } });
+      assert.matchesPattern(operations[1], { op: 'removeRecord', record: { id: 'jupiter' } });
+
+      done();
+    });
+
+    cache.patch([
+      addToHasMany(pluto, 'moons', io),
+      addToHasMany(jupiter, 'moons', callisto),
+      removeFromHasMany(jupiter, 'moons', callisto)
+    ]);
+  });
+
   test('filter - records with existing match in cache', function(assert) {
     const done = assert.async();
 
@@ -234,6 +261,411 @@ module('OC - Cache - liveQuery', function(hooks) {
     cache.patch(removeRecord(pluto));
   });
 
+  module('updates', function() {
+    test('records - emits updates to records in the results', function(assert) {
+      const done = assert.async();
+
+      cache.reset({ planet: { pluto } });
+
+      const liveQuery = cache.liveQuery(qb.records('planet'), undefined, { updates: true });
+
+      liveQuery.take(2).toArray().subscribe(operations => {
+        assert.deepEqual(operations, [
+          { op: 'addRecord', record: pluto },
+          replaceAttribute(pluto, 'name', 'Pluto2')
+        ]);
+
+        done();
+      });
+
+      cache.patch(replaceAttribute(pluto, 'name', 'Pluto2'));
+    });
+
+    test('filter - emits updates to matches along with membership changes', function(assert) {
+      const done = assert.async();
+
+      cache.reset({ planet: { jupiter, pluto }, moon: { callisto, io } });
+
+      const liveQuery = cache.liveQuery(
+        qb.records('planet').filterAttributes({ name: 'Pluto' }),
+        undefined,
+        { updates: true }
+      );
+
+      liveQuery.take(3).toArray().subscribe(operations => {
+        assert.deepEqual(operations[0], { op: 'addRecord', record: pluto });
+        assert.deepEqual(operations[1], addToHasMany(pluto, 'moons', io));
+        assert.matchesPattern(operations[2], { op: 'removeRecord', record: { id: 'pluto' } });
+
+        done();
+      });
+
+      cache.patch([
+        // jupiter is not a match
+        addToHasMany(jupiter, 'moons', callisto),
+        addToHasMany(pluto, 'moons', io),
+        replaceAttribute(pluto, 'name', 'Pluto2')
+      ]);
+    });
+
+    test('relatedRecords - emits updates to related records', function(assert) {
+      const done = assert.async();
+
+      jupiter.relationships = { moons: { data: { 'moon:callisto': true } } };
+      cache.reset({ planet: { jupiter, pluto }, moon: { callisto, io } });
+
+      const liveQuery = cache.liveQuery(qb.relatedRecords(jupiter, 'moons'), undefined, { updates: true });
+
+      liveQuery.take(2).toArray().subscribe(operations => {
+        assert.deepEqual(operations, [
+          { op: 'addRecord', record: callisto },
+          replaceAttribute(callisto, 'name', 'Callisto2')
+        ]);
+
+        done();
+      });
+
+      cache.patch([
+        replaceAttribute(io, 'name', 'Io2'),
+        replaceAttribute(callisto, 'name', 'Callisto2')
+      ]);
+    });
+
+    test('relatedRecord - emits updates to the related record', function(assert) {
+      const done = assert.async();
+
+      cache.reset({ planet: { jupiter, pluto }, moon: { callisto, io } });
+
+      const liveQuery = cache.liveQuery(qb.relatedRecord(callisto, 'planet'), undefined, { updates: true });
+
+      liveQuery.take(2).toArray().subscribe(operations => {
+        assert.deepEqual(operations, [
+          { op: 'addRecord', record: jupiter },
+          replaceAttribute(jupiter, 'name', 'Jupiter2')
+        ]);
+
+        done();
+      });
+
+      cache.patch([
+        replaceHasOne(callisto, 'planet', jupiter),
+        replaceAttribute(pluto, 'name', 'Pluto2'),
+        replaceAttribute(jupiter, 'name', 'Jupiter2')
+      ]);
+    });
+  });
+
+  module('subscriptions', function() {
+    test('activeLiveQueries counts subscriptions that have not been unsubscribed', function(assert) {
+      assert.equal(cache.activeLiveQueries, 0, 'no active subscriptions initially');
+
+      const liveQuery = cache.liveQuery(qb.records('planet'));
+      assert.equal(cache.activeLiveQueries, 0, 'creating a live query does not subscribe to it');
+
+      const subscription1 = liveQuery.subscribe(() => {});
+      const subscription2 = liveQuery.subscribe(() => {});
+      assert.equal(cache.activeLiveQueries, 2, 'each subscription is counted');
+
+      subscription1.unsubscribe();
+      assert.equal(cache.activeLiveQueries, 1, 'unsubscribed subscriptions are not counted');
+
+      subscription2.unsubscribe();
+      subscription2.unsubscribe();
+      assert.equal(cache.activeLiveQueries, 0, 'unsubscribing twice has no further effect');
+    });
+
+    test('completed subscriptions are not counted', function(assert) {
+      cache.reset({ planet: { pluto } });
+
+      cache.liveQuery(qb.records('planet')).take(1).subscribe(() => {});
+
+      assert.equal(cache.activeLiveQueries, 0);
+    });
+
+    test('unsubscribing removes all of a live query\'s listeners from the cache', function(assert) {
+      cache.reset({ planet: { jupiter, pluto }, moon: { callisto, io } });
+
+      const liveQueries = [
+        cache.liveQuery(qb.records('planet')),
+        cache.liveQuery(qb.record(identity(pluto))),
+        cache.liveQuery(qb.records('planet').filterAttributes({ name: 'Pluto' })),
+        cache.liveQuery(qb.records('planet').sort('name').page({ offset: 0, limit: 1 })),
+        cache.liveQuery(qb.relatedRecord(callisto, 'planet'), undefined, { updates: true }),
+        cache.liveQuery(qb.relatedRecords(jupiter, 'moons'), undefined, { updates: true }),
+        cache.liveQuery(qb.records('planet'), undefined, { batch: true }),
+        cache.liveQuery(qb.records('planet'), undefined, { snapshot: true })
+      ];
+
+      const subscriptions = liveQueries.map(liveQuery => liveQuery.subscribe(() => {}));
+
+      cache.patch([
+        replaceHasOne(callisto, 'planet', jupiter),
+        addToHasMany(jupiter, 'moons', callisto)
+      ]);
+
+      assert.ok(cache.listeners('patch').length > 0, 'patch listeners are registered');
+      assert.ok(cache.listeners('endPatch').length > 0, 'endPatch listeners are registered');
+      assert.equal(cache.activeLiveQueries, liveQueries.length);
+
+      subscriptions.forEach(subscription => subscription.unsubscribe());
+
+      assert.equal(cache.listeners('patch').length, 0, 'patch listeners are removed');
+      assert.equal(cache.listeners('endPatch').length, 0, 'endPatch listeners are removed');
+      assert.equal(cache.activeLiveQueries, 0);
+    });
+  });
+
+  module('batch', function() {
+    test('emits the operations from each patch together', function(assert) {
+      const done = assert.async();
+
+      cache.reset({ planet: { pluto } });
+
+      const liveQuery = cache.liveQuery(qb.records('planet'), undefined, { batch: true });
+
+      liveQuery.take(2).toArray().subscribe(batches => {
+        assert.deepEqual(batches, [
+          [{ op: 'addRecord', record: pluto }],
+          [{ op: 'addRecord', record: jupiter }, { op: 'removeRecord', record: pluto }]
+        ]);
+
+        done();
+      });
+
+      cache.patch(addRecord(callisto));
+      cache.patch([
+        addRecord(jupiter),
+        removeRecord(pluto)
+      ]);
+    });
+  });
+
+  module('snapshot', function() {
+    test('emits complete results, sharing unchanged records', function(assert) {
+      const done = assert.async();
+
+      cache.reset({ planet: { jupiter, pluto } });
+
+      const liveQuery = cache.liveQuery(qb.records('planet'), undefined, { snapshot: true });
+
+      liveQuery.take(2).toArray().subscribe(snapshots => {
+        assert.deepEqual(snapshots[0], { jupiter, pluto }, 'initial results');
+        assert.deepEqual(snapshots[1], {
+          jupiter,
+          pluto: { type: 'planet', id: 'pluto', attributes: { name: 'Pluto2' } }
+        }, 'updated results');
+        assert.strictEqual(snapshots[1].jupiter, snapshots[0].jupiter, 'unchanged record is shared');
+        assert.notStrictEqual(snapshots[1].pluto, snapshots[0].pluto, 'changed record is not shared');
+
+        done();
+      });
+
+      cache.patch(replaceAttribute(pluto, 'name', 'Pluto2'));
+    });
+
+    test('only emits when the results change', function(assert) {
+      cache.reset({ planet: { jupiter, pluto } });
+
+      const liveQuery = cache.liveQuery(qb.records('planet').sort('name'), undefined, { snapshot: true });
+
+      const onSnapshot = sinon.stub();
+      liveQuery.subscribe(onSnapshot);
+
+      assert.equal(onSnapshot.getCalls().length, 1, 'initial results are emitted');
+      assert.deepEqual(onSnapshot.getCall(0).args[0], [jupiter, pluto]);
+
+      cache.patch(addRecord(io));
+
+      assert.equal(onSnapshot.getCalls().length, 1, 'unrelated change is not emitted');
+
+      cache.patch(replaceAttribute(jupiter, 'name', 'Zeus'));
+
+      assert.equal(onSnapshot.getCalls().length, 2, 'change to results is emitted');
+
+      const [first] = onSnapshot.getCall(0).args;
+      const [second] = onSnapshot.getCall(1).args;
+      assert.deepEqual(second.map(planet => planet.attributes.name), ['Pluto', 'Zeus']);
+      assert.strictEqual(second[0], first[1], 'unchanged record is shared');
+    });
+    test('shares unchanged records in pages and included records', function(assert) {
+      cache.reset({ planet: { jupiter, pluto }, moon: { io, callisto } });
+      cache.patch([
+        addToHasMany(jupiter, 'moons', io),
+        addToHasMany(pluto, 'moons', callisto)
+      ]);
+
+      const query = oqe('include', qb.records('planet').sort('name').page({ first: 2 }).expression, ['moons']);
+      const onSnapshot = sinon.stub();
+      const subscription = cache.liveQuery(query, undefined, { snapshot: true }).subscribe(onSnapshot);
+
+      cache.patch(replaceAttribute(pluto, 'name', 'Pluto2'));
+      cache.patch(replaceAttribute(callisto, 'name', 'Callisto2'));
+      subscription.unsubscribe();
+
+      assert.equal(onSnapshot.getCalls().length, 3, 'changes are emitted');
+
+      const [first, second, third] = onSnapshot.getCalls().map(call => call.args[0]);
+      assert.strictEqual(second.data[0], first.data[0], 'unchanged primary record is shared');
+      assert.notStrictEqual(second.data[1], first.data[1], 'changed primary record is not shared');
+      assert.strictEqual(second.included, first.included, 'unchanged included records are shared');
+      assert.strictEqual(second.pageInfo.startCursor, first.pageInfo.startCursor, 'unchanged cursor is shared');
+      assert.strictEqual(third.data, second.data, 'unchanged primary records are shared');
+      assert.strictEqual(third.included[0], second.included[0], 'unchanged included record is shared');
+      assert.notStrictEqual(third.included[1], second.included[1], 'changed included record is not shared');
+    });
+  });
+
+  module('sort', function() {
+    test('emits positional operations as records are added and removed', function(assert) {
+      const done = assert.async();
+
+      const liveQuery = cache.liveQuery(qb.records('planet').sort('name'));
+
+      liveQuery.take(3).toArray().subscribe(operations => {
+        assert.deepEqual(operations, [
+          { op: 'addRecord', record: pluto, index: 0 },
+          { op: 'addRecord', record: jupiter, index: 0 },
+          { op: 'removeRecord', record: pluto, index: 1 }
+        ]);
+
+        done();
+      });
+
+      cache.patch(addRecord(pluto));
+      cache.patch(addRecord(jupiter));
+      cache.patch(removeRecord(pluto));
+    });
+
+    test('re-evaluates the results once per patch', function(assert) {
+      const liveQuery = cache.liveQuery(qb.records('planet').sort('name'), {}, { batch: true });
+      const batches = [];
+      const subscription = liveQuery.subscribe(operations => batches.push(operations));
+
+      cache.patch([
+        addRecord(pluto),
+        addRecord(jupiter),
+        removeRecord(pluto)
+      ]);
+
+      subscription.unsubscribe();
+
+      assert.deepEqual(batches, [
+        [{ op: 'addRecord', record: jupiter, index: 0 }]
+      ], 'only the net changes of the patch are emitted');
+    });
+
+    test('moves records when a sorted attribute changes', function(assert) {
+      const done = assert.async();
+      const mars = { type: 'planet', id: 'mars', attributes: { name: 'Mars' } };
+
+      cache.reset({ planet: { jupiter, mars, pluto } });
+
+      const liveQuery = cache.liveQuery(qb.records('planet').sort('name'));
+
+      liveQuery.take(5).toArray().subscribe(operations => {
+        assert.deepEqual(operations.slice(0, 3), [
+          { op: 'addRecord', record: jupiter, index: 0 },
+          { op: 'addRecord', record: mars, index: 1 },
+          { op: 'addRecord', record: pluto, index: 2 }
+        ], 'initial results include their indexes');
+
+        assert.matchesPattern(operations[3], { op: 'moveRecord', record: { id: 'mars' }, fromIndex: 1, toIndex: 2 });
+        assert.matchesPattern(operations[4], { op: 'moveRecord', record: { id: 'jupiter' }, fromIndex: 0, toIndex: 2 });
+
+        done();
+      });
+
+      cache.patch([
+        replaceAttribute(jupiter, 'name', 'Zeus'),
+        replaceAttribute(mars, 'name', 'Ares'),
+        replaceAttribute(pluto, 'name', 'Aardvark')
+      ]);
+    });
+  });
+
+  module('page', function() {
+    test('emits positional operations as records enter and leave the page', function(assert) {
+      const done = assert.async();
+      const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+
+      cache.reset({ planet: { jupiter, pluto } });
+
+      const liveQuery = cache.liveQuery(qb.records('planet').sort('name').page({ offset: 0, limit: 1 }));
+
+      liveQuery.take(5).toArray().subscribe(operations => {
+        assert.deepEqual(operations, [
+          { op: 'addRecord', record: jupiter, index: 0 },
+          { op: 'removeRecord', record: jupiter, index: 0 },
+          { op: 'addRecord', record: earth, index: 0 },
+          { op: 'removeRecord', record: earth, index: 0 },
+          { op: 'addRecord', record: jupiter, index: 0 }
+        ]);
+
+        done();
+      });
+
+      cache.patch(addRecord(earth));
+      // outside of the page window
+      cache.patch(replaceAttribute(pluto, 'name', 'Pluto2'));
+      cache.patch(removeRecord(earth));
+    });
+  });
+
+  module('ordered', function() {
+    test('emits positional operations in the default order of unsorted records', function(assert) {
+      const done = assert.async();
+      const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+
+      cache.reset({ planet: { pluto, jupiter } });
+
+      const liveQuery = cache.liveQuery(oqe('ordered', oqe('records', 'planet')));
+
+      liveQuery.take(4).toArray().subscribe(operations => {
+        assert.deepEqual(operations, [
+          { op: 'addRecord', record: jupiter, index: 0 },
+          { op: 'addRecord', record: pluto, index: 1 },
+          { op: 'removeRecord', record: jupiter, index: 0 },
+          { op: 'addRecord', record: earth, index: 0 }
+        ]);
+
+        done();
+      });
+
+      cache.patch([
+        addRecord(earth),
+        removeRecord(jupiter)
+      ]);
+    });
+  });
+
+  module('page with cursors', function() {
+    test('emits initial page and positional operations for the page\'s data', function(assert) {
+      const done = assert.async();
+      const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+      const mars = { type: 'planet', id: 'mars', attributes: { name: 'Mars' } };
+
+      cache.reset({ planet: { jupiter, pluto } });
+
+      const liveQuery = cache.liveQuery(qb.records('planet').sort('name').page({ after: { type: 'planet', id: 'jupiter' }, first: 1 }));
+
+      liveQuery.take(3).toArray().subscribe(operations => {
+        assert.deepEqual(operations, [
+          { op: 'addRecord', record: pluto, index: 0 },
+          { op: 'removeRecord', record: pluto, index: 0 },
+          { op: 'addRecord', record: mars, index: 0 }
+        ]);
+
+        done();
+      });
+
+      cache.patch([
+        // before the cursor
+        addRecord(earth),
+        addRecord(mars)
+      ]);
+    });
+  });
+
   module('relatedRecord', function() {
     test('adds and removes record from liveQuery', function(assert) {
       const done = assert.async();
@@ -287,4 +719,155 @@ module('OC - Cache - liveQuery', function(hooks) {
       ]);
     });
   });
+
+  module('fields', function() {
+    test('emits sparse records and updates to their selected fields', function(assert) {
+      const done = assert.async();
+      const query = oqe('fields', qb.records('planet').expression, { planet: ['name'] });
+      const liveQuery = cache.liveQuery(query, undefined, { updates: true });
+
+      liveQuery.take(3).toArray().subscribe(operations => {
+        assert.deepEqual(operations, [
+          { op: 'addRecord', record: { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } } },
+          replaceAttribute(jupiter, 'name', 'Jupiter2'),
+          { op: 'removeRecord', record: { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } } }
+        ]);
+
+        done();
+      });
+
+      cache.patch([
+        addRecord(jupiter),
+        replaceAttribute(jupiter, 'classification', 'gas giant'),
+        replaceAttribute(jupiter, 'name', 'Jupiter2'),
+        removeRecord(jupiter)
+      ]);
+    });
+  });
+
+  module('include', function() {
+    test('emits primary records and changes to included records', function(assert) {
+      const done = assert.async();
+
+      cache.reset({ planet: { jupiter }, moon: { io, callisto } });
+
+      const query = oqe('include', qb.record(jupiter).expression, ['moons']);
+      const liveQuery = cache.liveQuery(query, undefined, { updates: true });
+
+      liveQuery.take(8).toArray().subscribe(operations => {
+        assert.deepEqual(operations, [
+          { op: 'addRecord', record: jupiter },
+          addToHasMany(jupiter, 'moons', io),
+          { op: 'addRecord', record: io, included: true },
+          { op: 'replaceAttribute', record: io, attribute: 'name', value: 'Io2', included: true },
+          addToHasMany(jupiter, 'moons', callisto),
+          { op: 'addRecord', record: callisto, included: true },
+          removeFromHasMany(jupiter, 'moons', io),
+          { op: 'removeRecord', record: { type: 'moon', id: 'io', attributes: { name: 'Io2' } }, included: true }
+        ]);
+
+        done();
+      });
+
+      cache.patch(addToHasMany(jupiter, 'moons', io));
+      cache.patch(replaceAttribute(io, 'name', 'Io2'));
+      cache.patch(replaceAttribute(pluto, 'name', 'Pluto2'));
+      cache.patch(addToHasMany(jupiter, 'moons', callisto));
+      cache.patch(removeFromHasMany(jupiter, 'moons', io));
+    });
+  });
+
+  module('aggregates', function() {
+    test('count - emits the count initially and whenever it changes', function(assert) {
+      const done = assert.async();
+      const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+
+      cache.reset({ planet: { jupiter, pluto } });
+
+      const liveQuery = cache.liveQuery(oqe('count', oqe('records', 'planet')));
+
+      liveQuery.take(3).toArray().subscribe(operations => {
+        assert.deepEqual(operations, [
+          { op: 'replaceAggregate', value: 2 },
+          { op: 'replaceAggregate', value: 3 },
+          { op: 'replaceAggregate', value: 2 }
+        ]);
+
+        done();
+      });
+
+      cache.patch(addRecord(earth));
+      // doesn't change the count
+      cache.patch(replaceAttribute(pluto, 'name', 'Pluto2'));
+      cache.patch(removeRecord(pluto));
+    });
+
+    test('count - emits only changes to the value at the end of each patch', function(assert) {
+      const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+
+      cache.reset({ planet: { jupiter, pluto } });
+
+      const operations = [];
+      const subscription = cache.liveQuery(oqe('count', oqe('records', 'planet')))
+        .subscribe(operation => operations.push(operation));
+
+      cache.patch([addRecord(earth), removeRecord(pluto)]);
+      cache.patch([removeRecord(earth), removeRecord(jupiter)]);
+
+      subscription.unsubscribe();
+
+      assert.deepEqual(operations, [
+        { op: 'replaceAggregate', value: 2 },
+        { op: 'replaceAggregate', value: 0 }
+      ]);
+    });
+
+    test('sum - emits the sum of a filtered attribute whenever contributing records change', function(assert) {
+      const done = assert.async();
+      const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', moonCount: 1 } };
+      const mars = { type: 'planet', id: 'mars', attributes: { name: 'Mars', moonCount: 2 } };
+
+      cache.reset({ planet: { earth } });
+
+      const liveQuery = cache.liveQuery(
+        oqe('sum', oqe('filter', oqe('records', 'planet'), oqe('gt', oqe('attribute', 'moonCount'), 0)), 'moonCount')
+      );
+
+      liveQuery.take(3).toArray().subscribe(operations => {
+        assert.deepEqual(operations, [
+          { op: 'replaceAggregate', value: 1 },
+          { op: 'replaceAggregate', value: 3 },
+          { op: 'replaceAggregate', value: 5 }
+        ]);
+
+        done();
+      });
+
+      cache.patch(addRecord(mars));
+      cache.patch(replaceAttribute(mars, 'moonCount', 4));
+    });
+
+    test('groupBy - emits groups of related records whenever they change', function(assert) {
+      const done = assert.async();
+
+      cache.reset({ planet: { jupiter }, moon: { callisto, io } });
+
+      const liveQuery = cache.liveQuery(oqe('groupBy', oqe('relatedRecords', jupiter, 'moons'), 'name'));
+
+      liveQuery.take(4).toArray().subscribe(operations => {
+        assert.deepEqual(operations, [
+          { op: 'replaceAggregate', value: {} },
+          { op: 'replaceAggregate', value: { Io: [io] } },
+          { op: 'replaceAggregate', value: { Io: [io], Callisto: [callisto] } },
+          { op: 'replaceAggregate', value: { Io: [io, { type: 'moon', id: 'callisto', attributes: { name: 'Io' } }] } }
+        ]);
+
+        done();
+      });
+
+      cache.patch(addToHasMany(jupiter, 'moons', io));
+      cache.patch(addToHasMany(jupiter, 'moons', callisto));
+      cache.patch(replaceAttribute(callisto, 'name', 'Io'));
+    });
+  });
 });
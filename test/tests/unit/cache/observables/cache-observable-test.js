@@ -302,5 +302,28 @@ module('OC - Cache - CacheObservable', function(hooks) {
     cache.patch(replaceAttribute(jupiter, 'colour', 'blue'));
   });
 
+  test('unsubscribing from forHasOne and forHasMany observables removes their listeners', function(assert) {
+    const jupiter = { id: 'jupiter', type: 'planet', attributes: { name: 'Jupiter' } };
+    const ganymede = { id: 'ganymede', type: 'moon', attributes: { name: 'Ganymede' } };
+
+    const subscriptions = [
+      cache.patches.forHasOne(ganymede, 'planet').relatedRecord({ initial: true }).patches().subscribe(() => {}),
+      cache.patches.forHasMany(jupiter, 'moons').relatedRecords({ initial: true }).patches().subscribe(() => {})
+    ];
+
+    cache.patch([
+      addRecord(jupiter),
+      addRecord(ganymede),
+      replaceHasOne(ganymede, 'planet', jupiter),
+      addToHasMany(jupiter, 'moons', ganymede)
+    ]);
+
+    assert.ok(cache.listeners('patch').length > 0, 'listeners are registered');
+
+    subscriptions.forEach(subscription => subscription.unsubscribe());
+
+    assert.equal(cache.listeners('patch').length, 0, 'listeners are removed');
+  });
+
   QUnit.skip('filter');
 });
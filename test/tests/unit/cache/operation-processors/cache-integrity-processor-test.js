@@ -940,3 +940,109 @@ test('replaceRecord', function(assert) {
     }
   }, 'rev links match');
 });
+
+test('rollbackTransaction restores rev links to their state at the beginning of the transaction', function(assert) {
+  const earth = { type: 'planet', id: 'earth' };
+  const jupiter = { type: 'planet', id: 'jupiter' };
+  const human = { type: 'inhabitant', id: 'human' };
+  const luna = { type: 'moon', id: 'luna', relationships: { planet: { data: 'planet:earth' } } };
+
+  cache.reset({
+    planet: { earth, jupiter },
+    moon: { luna },
+    inhabitant: { human }
+  });
+
+  const rev = {
+    'planet': {
+      'earth': {
+        'moon/luna/relationships/planet/data': true
+      }
+    }
+  };
+
+  assert.deepEqual(processor._rev, rev, 'rev links match');
+
+  processor.beginTransaction();
+
+  processor.finally({ op: 'addToHasMany', record: human, relationship: 'planets', relatedRecord: jupiter });
+  processor.after({ op: 'removeRecord', record: earth });
+
+  assert.notDeepEqual(processor._rev, rev, 'rev links have changed');
+
+  processor.rollbackTransaction();
+
+  assert.deepEqual(processor._rev, rev, 'rev links are restored');
+});
+
+test('commitTransaction keeps changes to rev links', function(assert) {
+  const earth = { type: 'planet', id: 'earth' };
+  const human = { type: 'inhabitant', id: 'human' };
+
+  cache.reset({
+    planet: { earth },
+    inhabitant: { human }
+  });
+
+  processor.beginTransaction();
+  processor.finally({ op: 'addToHasMany', record: human, relationship: 'planets', relatedRecord: earth });
+  processor.commitTransaction();
+  processor.rollbackTransaction();
+
+  assert.deepEqual(processor._rev, {
+    'planet': {
+      'earth': {
+        'inhabitant/human/relationships/planets/data/planet:earth': true
+      }
+    }
+  }, 'rev links match');
+});
+
+test('snapshot shares rev links until they are changed, and restore brings them back', function(assert) {
+  const earth = { type: 'planet', id: 'earth' };
+  const jupiter = { type: 'planet', id: 'jupiter' };
+  const human = { type: 'inhabitant', id: 'human' };
+  const luna = { type: 'moon', id: 'luna', relationships: { planet: { data: 'planet:earth' } } };
+
+  cache.reset({
+    planet: { earth, jupiter },
+    moon: { luna },
+    inhabitant: { human }
+  });
+
+  const rev = {
+    'planet': {
+      'earth': {
+        'moon/luna/relationships/planet/data': true
+      }
+    }
+  };
+
+  const snapshot = processor.snapshot();
+
+  assert.strictEqual(snapshot, processor._rev, 'rev links are shared with the snapshot');
+
+  processor.finally({ op: 'addToHasMany', record: human, relationship: 'planets', relatedRecord: earth });
+  processor.finally({ op: 'addToHasMany', record: human, relationship: 'planets', relatedRecord: jupiter });
+
+  assert.deepEqual(snapshot, rev, 'snapshot is unchanged');
+  assert.deepEqual(processor._rev, {
+    'planet': {
+      'earth': {
+        'moon/luna/relationships/planet/data': true,
+        'inhabitant/human/relationships/planets/data/planet:earth': true
+      },
+      'jupiter': {
+        'inhabitant/human/relationships/planets/data/planet:jupiter': true
+      }
+    }
+  }, 'rev links have changed');
+
+  processor.restore(snapshot);
+
+  assert.deepEqual(processor._rev, rev, 'rev links are restored');
+
+  processor.finally({ op: 'addToHasMany', record: human, relationship: 'planets', relatedRecord: jupiter });
+
+  assert.deepEqual(snapshot, rev, 'snapshot is unchanged after being restored');
+});
@@ -76,3 +76,43 @@ test('tracks deletions and makes them queryable through `hasDeleted`', function(
 
   assert.equal(cache.hasDeleted('planet/saturn'), false, 'Resets deletion tracking when cache is reset');
 });
+
+test('deletions are no longer tracked when a patch fails', function(assert) {
+  const saturn = { id: 'saturn', type: 'planet', attributes: { name: 'Saturn' } };
+  const jupiter = { id: 'jupiter', type: 'planet', attributes: { name: 'Jupiter' } };
+
+  cache.reset({
+    planet: { saturn: saturn, jupiter: jupiter }
+  });
+
+  assert.throws(() => {
+    cache.patch([
+      removeRecord(saturn),
+      { op: 'unsupported', record: jupiter }
+    ]);
+  });
+
+  assert.equal(cache.hasDeleted('planet/saturn'), false, 'Saturn has not been deleted');
+});
+
+test('deletions are included in cache snapshots', function(assert) {
+  const saturn = { id: 'saturn', type: 'planet', attributes: { name: 'Saturn' } };
+  const jupiter = { id: 'jupiter', type: 'planet', attributes: { name: 'Jupiter' } };
+
+  cache.reset({
+    planet: { saturn: saturn, jupiter: jupiter }
+  });
+
+  cache.patch(removeRecord(saturn));
+
+  const snapshot = cache.snapshot();
+
+  cache.patch(removeRecord(jupiter));
+
+  assert.equal(cache.hasDeleted('planet/jupiter'), true, 'Jupiter has been deleted');
+
+  cache.restore(snapshot);
+
+  assert.equal(cache.hasDeleted('planet/saturn'), true, 'Saturn has been deleted');
+  assert.equal(cache.hasDeleted('planet/jupiter'), false, 'Jupiter has not been deleted');
+});
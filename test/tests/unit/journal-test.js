@@ -0,0 +1,88 @@
+import Transform from 'orbit/transform';
+import { addRecord, removeRecord } from 'orbit/transform/operators';
+import Journal from 'orbit-store/journal';
+import MemoryFS from 'tests/support/memory-fs';
+
+const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+
+module('OC - Journal', function(hooks) {
+  let fs, journal;
+
+  hooks.beforeEach(function() {
+    fs = new MemoryFS();
+    journal = new Journal({ fs, path: 'store.log', snapshotInterval: 3 });
+  });
+
+  test('requires `fs` and `path`', function(assert) {
+    assert.throws(() => new Journal({ path: 'store.log' }), /`fs` must be specified/);
+    assert.throws(() => new Journal({ fs }), /`path` must be specified/);
+  });
+
+  test('#read - returns no entries when the file does not exist', function(assert) {
+    assert.deepEqual(journal.read(), []);
+  });
+
+  test('appends entries as lines of JSON, which can be read back', function(assert) {
+    const transform = Transform.from(addRecord(jupiter));
+
+    journal.transform(transform, [removeRecord(jupiter)]);
+    journal.rollback(transform.id);
+
+    assert.equal(fs.files['store.log'].split('\n').length, 3, 'one line per entry');
+
+    const entries = new Journal({ fs, path: 'store.log' }).read();
+
+    assert.equal(entries.length, 2, 'entries are read');
+    assert.ok(entries[0].transform instanceof Transform, 'transforms are deserialized');
+    assert.equal(entries[0].transform.id, transform.id, 'transform id is preserved');
+    assert.deepEqual(entries[0].transform.operations, transform.operations, 'transform operations are preserved');
+    assert.deepEqual(entries[0].inverse, [removeRecord(jupiter)], 'inverse is preserved');
+    assert.deepEqual(entries[1], { type: 'rollback', transformId: transform.id }, 'rollback is preserved');
+  });
+
+  test('#read - ignores and removes a partially appended last entry', function(assert) {
+    const transform = Transform.from(addRecord(jupiter));
+
+    journal.transform(transform, [removeRecord(jupiter)]);
+    journal.clear();
+
+    const complete = fs.files['store.log'];
+    fs.files['store.log'] = complete.slice(0, -5);
+
+    const entries = journal.read();
+
+    assert.deepEqual(entries.map(entry => entry.type), ['transform'], 'partial entry is ignored');
+    assert.deepEqual(Object.keys(fs.files), ['store.log'], 'temporary file is removed');
+
+    journal.rollback(transform.id);
+
+    assert.deepEqual(journal.read().map(entry => entry.type), ['transform', 'rollback'], 'entries are appended after the last complete entry');
+
+    fs.files['store.log'] = fs.files['store.log'].slice(0, -1);
+
+    assert.deepEqual(journal.read().map(entry => entry.type), ['transform', 'rollback'], 'a complete entry without a line break is kept');
+    assert.equal(fs.files['store.log'].slice(-1), '\n', 'line break is restored');
+  });
+
+  test('#snapshot - replaces the file with a snapshot', function(assert) {
+    const transform = Transform.from(addRecord(jupiter));
+
+    journal.clear();
+    journal.clear();
+    journal.clear();
+
+    assert.ok(journal.needsSnapshot, 'needs a snapshot once the interval is reached');
+
+    journal.snapshot({ planet: { jupiter } }, [{ transform, inverse: [removeRecord(jupiter)] }]);
+
+    assert.ok(!journal.needsSnapshot, 'snapshot interval is reset');
+    assert.deepEqual(Object.keys(fs.files), ['store.log'], 'temporary file is removed');
+
+    const entries = journal.read();
+
+    assert.equal(entries.length, 1, 'snapshot replaces previous entries');
+    assert.equal(entries[0].type, 'snapshot');
+    assert.deepEqual(entries[0].doc, { planet: { jupiter } }, 'document is included');
+    assert.equal(entries[0].history[0].transform.id, transform.id, 'history is included');
+  });
+});
@@ -0,0 +1,44 @@
+import {
+  addRecord,
+  removeRecord,
+  replaceKey,
+  replaceAttribute,
+  addToHasMany,
+  replaceHasMany,
+  replaceHasOne
+} from 'orbit/transform/operators';
+import { operationPaths } from 'orbit-store/lib/operations';
+
+const jupiter = { type: 'planet', id: 'jupiter' };
+const io = { type: 'moon', id: 'io' };
+
+module('OC - lib - operations', function() {
+  test('#operationPaths - record operations change each field of the record', function(assert) {
+    assert.deepEqual(
+      operationPaths(addRecord({
+        type: 'planet',
+        id: 'jupiter',
+        keys: { remoteId: '1' },
+        attributes: { name: 'Jupiter', classification: 'gas giant' },
+        relationships: { moons: { data: {} } }
+      })),
+      [
+        ['planet', 'jupiter', 'keys', 'remoteId'],
+        ['planet', 'jupiter', 'attributes', 'name'],
+        ['planet', 'jupiter', 'attributes', 'classification'],
+        ['planet', 'jupiter', 'relationships', 'moons', 'data']
+      ]
+    );
+
+    assert.deepEqual(operationPaths(addRecord(jupiter)), [['planet', 'jupiter']], 'record without fields');
+    assert.deepEqual(operationPaths(removeRecord(jupiter)), [['planet', 'jupiter']], 'removeRecord');
+  });
+
+  test('#operationPaths - field operations change a single field', function(assert) {
+    assert.deepEqual(operationPaths(replaceKey(jupiter, 'remoteId', '2')), [['planet', 'jupiter', 'keys', 'remoteId']]);
+    assert.deepEqual(operationPaths(replaceAttribute(jupiter, 'name', 'Zeus')), [['planet', 'jupiter', 'attributes', 'name']]);
+    assert.deepEqual(operationPaths(addToHasMany(jupiter, 'moons', io)), [['planet', 'jupiter', 'relationships', 'moons', 'data', 'moon:io']]);
+    assert.deepEqual(operationPaths(replaceHasMany(jupiter, 'moons', [io])), [['planet', 'jupiter', 'relationships', 'moons', 'data']]);
+    assert.deepEqual(operationPaths(replaceHasOne(io, 'planet', jupiter)), [['moon', 'io', 'relationships', 'planet', 'data']]);
+  });
+});
@@ -4,13 +4,24 @@ import Schema from 'orbit/schema';
 import KeyMap from 'orbit/key-map';
 import qb from 'orbit/query/builder';
 import {
-  addRecord
+  addRecord,
+  replaceRecord,
+  removeRecord,
+  replaceAttribute,
+  replaceHasOne
 } from 'orbit/transform/operators';
 import { identity } from 'orbit/lib/identifiers';
 import Store from 'orbit-store/store';
+import Journal from 'orbit-store/journal';
+import {
+  MergeConflictException,
+  RevertConflictException,
+  SavepointNotFoundException
+} from 'orbit-store/lib/exceptions';
 import CacheIntegrityProcessor from 'orbit-store/cache/operation-processors/cache-integrity-processor';
 import SchemaConsistencyProcessor from 'orbit-store/cache/operation-processors/schema-consistency-processor';
 import { all } from 'rsvp';
+import MemoryFS from 'tests/support/memory-fs';
 
 const schemaDefinition = {
   models: {
@@ -91,6 +102,51 @@ module('OC - Store', function(hooks) {
       });
   });
 
+  test('#update - patches the store\'s cache in a single batch identified by the transform\'s id', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+    const transform = new Transform([
+      addRecord(jupiter),
+      addRecord(io),
+      replaceHasOne(io, 'planet', jupiter)
+    ]);
+
+    const batches = [];
+    store.cache.patches.batched().subscribe(batch => batches.push(batch));
+
+    const onEndPatch = sinon.stub();
+    store.cache.on('endPatch', onEndPatch);
+
+    return store.update(transform)
+      .then(() => {
+        assert.ok(onEndPatch.calledOnce, 'endPatch is emitted once');
+        assert.ok(onEndPatch.calledWith(transform.id), 'endPatch is emitted with the transform\'s id');
+        assert.equal(batches.length, 1, 'one batch is emitted');
+        assert.deepEqual(batches[0].map(op => op.op), ['addRecord', 'addRecord', 'replaceHasOne', 'addToHasMany'], 'batch includes processor operations');
+      });
+  });
+
+  test('#update - rejects and leaves the store\'s cache unchanged when an operation fails', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+    const transform = new Transform([
+      addRecord(jupiter),
+      addRecord(io),
+      replaceHasOne(io, 'unknown', jupiter)
+    ]);
+
+    return store.update(transform)
+      .then(() => {
+        assert.ok(false, 'update should not resolve');
+      })
+      .catch(e => {
+        assert.equal(e.message, 'Relationship not registered: \'moon#unknown\'', 'rejects with the error');
+        assert.equal(store.cache.length('planet'), 0, 'cache contains no planets');
+        assert.equal(store.cache.length('moon'), 0, 'cache contains no moons');
+        assert.ok(!store.transformLog.contains(transform.id), 'transform is not logged');
+      });
+  });
+
   test('#query - queries the store\'s cache', function(assert) {
     assert.expect(2);
 
@@ -158,6 +214,51 @@ module('OC - Store', function(hooks) {
     });
   });
 
+  test('#liveQuery - can emit updates to records in the results', function(assert) {
+    const done = assert.async();
+
+    const jupiter = {
+      type: 'planet',
+      id: 'jupiter',
+      attributes: { name: 'Jupiter' }
+    };
+
+    store.cache.reset({
+      planet: {
+        jupiter
+      }
+    });
+
+    const liveQuery = store.liveQuery(qb.records('planet'), { updates: true });
+
+    liveQuery.take(2).toArray().subscribe(operations => {
+      assert.deepEqual(operations[0], { op: 'addRecord', record: jupiter });
+      assert.deepEqual(operations[1], replaceAttribute(jupiter, 'name', 'Jupiter2'));
+      done();
+    });
+
+    store.update(replaceAttribute(jupiter, 'name', 'Jupiter2'));
+  });
+
+  test('#liveQuery - can emit snapshots of the results', function(assert) {
+    const done = assert.async();
+
+    const jupiter = {
+      type: 'planet',
+      id: 'jupiter',
+      attributes: { name: 'Jupiter' }
+    };
+
+    const liveQuery = store.liveQuery(qb.records('planet'), { snapshot: true });
+
+    liveQuery.take(2).toArray().subscribe(snapshots => {
+      assert.deepEqual(snapshots[1], { jupiter });
+      done();
+    });
+
+    store.update(addRecord(jupiter));
+  });
+
   test('#transformsSince - returns all transforms since a specified transformId', function(assert) {
     const recordA = { id: 'jupiter', type: 'planet', attributes: { name: 'Jupiter' } };
     const recordB = { id: 'saturn', type: 'planet', attributes: { name: 'Saturn' } };
@@ -262,6 +363,31 @@ module('OC - Store', function(hooks) {
       });
   });
 
+  test('#preview - returns what a transform would change without applying it', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+
+    return store.update([
+      addRecord(jupiter),
+      addRecord(io),
+      replaceHasOne(io, 'planet', jupiter)
+    ])
+      .then(() => {
+        const preview = store.preview(removeRecord(jupiter));
+
+        assert.deepEqual(
+          preview.operations.map(op => op.op),
+          ['removeRecord', 'replaceHasOne'],
+          'operations include the removal of references'
+        );
+        assert.deepEqual(preview.operations[1], replaceHasOne({ type: 'moon', id: 'io' }, 'planet', null), 'reference to the removed record is cleared');
+        assert.equal(preview.inverse.length, 2, 'inverse operations are included');
+        assert.equal(store.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Jupiter', 'store is unchanged');
+        assert.equal(store.cache.get(['moon', 'io', 'relationships', 'planet', 'data']), 'planet:jupiter', 'references are unchanged');
+        assert.equal(store.transformLog.length, 1, 'no transform is logged');
+      });
+  });
+
   test('#fork - creates a new store that starts with the same schema, keyMap, and cache contents as the base store', function(assert) {
     const jupiter = { type: 'planet', id: 'jupiter-id', attributes: { name: 'Jupiter', classification: 'gas giant' } };
 
@@ -277,6 +403,27 @@ module('OC - Store', function(hooks) {
       });
   });
 
+  test('#fork - maintains the integrity of references that existed before the fork', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+
+    let fork;
+
+    return store.update([
+      addRecord(jupiter),
+      addRecord(io),
+      replaceHasOne(io, 'planet', jupiter)
+    ])
+      .then(() => {
+        fork = store.fork();
+        return fork.update(removeRecord(jupiter));
+      })
+      .then(() => {
+        assert.equal(fork.cache.get(['moon', 'io', 'relationships', 'planet', 'data']), null, 'reference is removed in fork');
+        assert.equal(store.cache.get(['moon', 'io', 'relationships', 'planet', 'data']), 'planet:jupiter', 'reference remains in base');
+      });
+  });
+
   test('#merge - merges transforms from a forked store back into a base store', function(assert) {
     const jupiter = { type: 'planet', id: 'jupiter-id', attributes: { name: 'Jupiter', classification: 'gas giant' } };
 
@@ -292,6 +439,845 @@ module('OC - Store', function(hooks) {
       });
   });
 
+  module('merge conflicts', function(hooks) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+
+    let fork;
+
+    hooks.beforeEach(function() {
+      return store.update([addRecord(jupiter), addRecord(io)])
+        .then(() => {
+          fork = store.fork();
+        });
+    });
+
+    test('#mergeConflicts - returns no conflicts when the base has not changed the same fields', function(assert) {
+      return all([
+        store.update(replaceAttribute(jupiter, 'classification', 'giant')),
+        fork.update(replaceAttribute(jupiter, 'name', 'Zeus'))
+      ])
+        .then(() => {
+          assert.deepEqual(store.mergeConflicts(fork), []);
+          return store.merge(fork);
+        })
+        .then(() => {
+          assert.deepEqual(store.cache.get(['planet', 'jupiter', 'attributes']), { name: 'Zeus', classification: 'giant' }, 'changes from both stores are kept');
+        });
+    });
+
+    test('#mergeConflicts - returns no conflicts when both stores made the same change', function(assert) {
+      return all([
+        store.update(replaceAttribute(jupiter, 'name', 'Zeus')),
+        fork.update(replaceAttribute(jupiter, 'name', 'Zeus'))
+      ])
+        .then(() => {
+          assert.deepEqual(store.mergeConflicts(fork), []);
+        });
+    });
+
+    test('#mergeConflicts - describes fields changed by both stores', function(assert) {
+      const renameInFork = replaceAttribute(jupiter, 'name', 'Zeus');
+
+      return all([
+        store.update(replaceAttribute(jupiter, 'name', 'Jove')),
+        fork.update(renameInFork)
+      ])
+        .then(() => {
+          assert.deepEqual(store.mergeConflicts(fork), [
+            {
+              operation: renameInFork,
+              record: { type: 'planet', id: 'jupiter' },
+              path: ['planet', 'jupiter', 'attributes', 'name'],
+              ancestor: 'Jupiter',
+              ours: 'Jove',
+              theirs: 'Zeus'
+            }
+          ]);
+        });
+    });
+
+    test('#mergeConflicts - detects changes to records that have been removed', function(assert) {
+      return all([
+        store.update(removeRecord(io)),
+        fork.update(replaceAttribute(io, 'name', 'Io2'))
+      ])
+        .then(() => {
+          const conflicts = store.mergeConflicts(fork);
+          assert.equal(conflicts.length, 1);
+          assert.deepEqual(conflicts[0].path, ['moon', 'io', 'attributes', 'name']);
+          assert.strictEqual(conflicts[0].ours, undefined);
+        });
+    });
+
+    test('#merge - rejects with a MergeConflictException when there are conflicts and no strategy', function(assert) {
+      return all([
+        store.update(replaceAttribute(jupiter, 'name', 'Jove')),
+        fork.update(replaceAttribute(jupiter, 'name', 'Zeus'))
+      ])
+        .then(() => store.merge(fork))
+        .then(() => {
+          assert.ok(false, 'merge should not resolve');
+        })
+        .catch(e => {
+          assert.ok(e instanceof MergeConflictException, 'MergeConflictException thrown');
+          assert.equal(e.conflicts.length, 1, 'conflicts are included');
+          assert.equal(store.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Jove', 'nothing is merged');
+        });
+    });
+
+    test('#merge - `ours` strategy keeps the base\'s changes', function(assert) {
+      return all([
+        store.update(replaceAttribute(jupiter, 'name', 'Jove')),
+        fork.update([
+          replaceAttribute(jupiter, 'name', 'Zeus'),
+          replaceAttribute(io, 'name', 'Io2')
+        ])
+      ])
+        .then(() => store.merge(fork, { strategy: 'ours' }))
+        .then(() => {
+          assert.equal(store.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Jove', 'conflicting change is not merged');
+          assert.equal(store.cache.get(['moon', 'io', 'attributes', 'name']), 'Io2', 'other changes are merged');
+        });
+    });
+
+    test('#merge - `ours` strategy keeps non-conflicting fields of replaced records', function(assert) {
+      return all([
+        store.update(replaceAttribute(jupiter, 'name', 'Jove')),
+        fork.update(replaceRecord({ type: 'planet', id: 'jupiter', attributes: { name: 'Zeus', classification: 'giant' } }))
+      ])
+        .then(() => store.merge(fork, { strategy: 'ours' }))
+        .then(() => {
+          assert.deepEqual(store.cache.get(['planet', 'jupiter', 'attributes']), { name: 'Jove', classification: 'giant' });
+        });
+    });
+
+    test('#merge - `theirs` strategy applies the fork\'s changes', function(assert) {
+      return all([
+        store.update(replaceAttribute(jupiter, 'name', 'Jove')),
+        fork.update(replaceAttribute(jupiter, 'name', 'Zeus'))
+      ])
+        .then(() => store.merge(fork, { strategy: 'theirs' }))
+        .then(() => {
+          assert.equal(store.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Zeus');
+        });
+    });
+
+    test('#merge - a custom strategy resolves each conflict', function(assert) {
+      const resolver = sinon.spy(conflict => conflict.record.type === 'planet' ? 'theirs' : 'ours');
+
+      return all([
+        store.update([
+          replaceAttribute(jupiter, 'name', 'Jove'),
+          replaceAttribute(io, 'name', 'Io1')
+        ]),
+        fork.update([
+          replaceAttribute(jupiter, 'name', 'Zeus'),
+          replaceAttribute(io, 'name', 'Io2')
+        ])
+      ])
+        .then(() => store.merge(fork, { strategy: resolver }))
+        .then(() => {
+          assert.equal(resolver.callCount, 2, 'resolver is called for each conflict');
+          assert.equal(store.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Zeus');
+          assert.equal(store.cache.get(['moon', 'io', 'attributes', 'name']), 'Io1');
+        });
+    });
+
+    test('#merge - rejects when a custom strategy returns an invalid resolution', function(assert) {
+      return all([
+        store.update(replaceAttribute(jupiter, 'name', 'Jove')),
+        fork.update(replaceAttribute(jupiter, 'name', 'Zeus'))
+      ])
+        .then(() => {
+          const merged = store.merge(fork, { strategy: () => 'mine' });
+          assert.ok(typeof merged.then === 'function', 'a promise is returned');
+          return merged;
+        })
+        .then(() => {
+          assert.ok(false, 'merge should not resolve');
+        })
+        .catch(e => {
+          assert.ok(/must be resolved as either 'ours' or 'theirs'/.test(e.message), 'error is rejected');
+          assert.equal(store.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Jove', 'nothing is merged');
+        });
+    });
+  });
+
+  test('#rebase - re-applies a fork\'s transforms on top of its base\'s newer changes', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+
+    let fork, transform;
+
+    return store.update(addRecord(jupiter))
+      .then(() => {
+        fork = store.fork();
+        transform = Transform.from(addRecord(io));
+        return all([
+          fork.update(transform),
+          store.update(addRecord(saturn))
+        ]);
+      })
+      .then(() => fork.rebase())
+      .then(dropped => {
+        assert.deepEqual(dropped, [], 'no operations are dropped');
+        assert.deepEqual(fork.cache.get(['planet', 'saturn']), saturn, 'fork includes changes from base');
+        assert.deepEqual(fork.cache.get(['moon', 'io']), io, 'fork keeps its own changes');
+        assert.deepEqual(fork.transformLog.entries, [transform.id], 'fork\'s log is unchanged');
+        assert.deepEqual(store.mergeConflicts(fork), [], 'base changes are not reported as conflicts');
+
+        return store.merge(fork);
+      })
+      .then(() => {
+        assert.deepEqual(store.cache.get(['moon', 'io']), io, 'rebased fork can be merged');
+      });
+  });
+
+  test('#rebase - drops and reports operations that no longer apply', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+    const europa = { type: 'moon', id: 'europa', attributes: { name: 'Europa' } };
+
+    let fork, renameJupiter, addEuropa;
+
+    return store.update([addRecord(jupiter), addRecord(io)])
+      .then(() => {
+        fork = store.fork();
+        renameJupiter = Transform.from(replaceAttribute(jupiter, 'name', 'Zeus'));
+        addEuropa = Transform.from([
+          addRecord(europa),
+          replaceHasOne(io, 'planet', jupiter)
+        ]);
+        return fork.update(renameJupiter);
+      })
+      .then(() => fork.update(addEuropa))
+      .then(() => store.update(removeRecord(jupiter)))
+      .then(() => fork.rebase())
+      .then(dropped => {
+        assert.deepEqual(dropped, [
+          { transform: renameJupiter, operation: renameJupiter.operations[0] },
+          { transform: addEuropa, operation: addEuropa.operations[1] }
+        ], 'reports dropped operations');
+        assert.equal(fork.cache.get(['planet', 'jupiter']), undefined, 'record removed in base is not restored');
+        assert.deepEqual(fork.cache.get(['moon', 'europa']), europa, 'operations that still apply are re-applied');
+        assert.equal(fork.cache.get(['moon', 'io', 'relationships', 'planet', 'data']), undefined, 'reference to removed record is dropped');
+        assert.deepEqual(fork.transformLog.entries, [addEuropa.id], 'empty transforms are removed from the log');
+        assert.deepEqual(fork.allTransforms()[0].operations, [addRecord(europa)], 'transforms only include re-applied operations');
+      });
+  });
+
+  test('#rebase - re-applies operations that depend on records added earlier in the same transform', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+
+    let fork, addIo;
+
+    return store.update(addRecord(jupiter))
+      .then(() => {
+        fork = store.fork();
+        addIo = Transform.from([
+          addRecord(io),
+          replaceHasOne(io, 'planet', jupiter),
+          replaceAttribute(io, 'name', 'IO')
+        ]);
+        return fork.update(addIo);
+      })
+      .then(() => store.update(addRecord(saturn)))
+      .then(() => fork.rebase())
+      .then(dropped => {
+        assert.deepEqual(dropped, [], 'no operations are dropped');
+        assert.equal(fork.cache.get(['moon', 'io', 'attributes', 'name']), 'IO', 'attribute of added record is replaced');
+        assert.deepEqual(fork.cache.get(['moon', 'io', 'relationships', 'planet', 'data']), 'planet:jupiter', 'added record is related');
+        assert.deepEqual(fork.allTransforms()[0].operations, addIo.operations, 'transform is unchanged');
+      });
+  });
+
+  test('#rebase - updates live queries on the fork with changes from its base', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+
+    let fork, operations, subscription;
+
+    return store.update([addRecord(jupiter), addRecord(io)])
+      .then(() => {
+        fork = store.fork();
+        operations = [];
+        subscription = fork.liveQuery(qb.records('planet'))
+          .subscribe(operation => operations.push(operation));
+        return fork.update(replaceAttribute(io, 'name', 'IO'));
+      })
+      .then(() => store.update([addRecord(saturn), removeRecord(jupiter)]))
+      .then(() => fork.rebase())
+      .then(() => {
+        subscription.unsubscribe();
+
+        assert.deepEqual(operations, [
+          { op: 'addRecord', record: jupiter },
+          { op: 'addRecord', record: saturn },
+          { op: 'removeRecord', record: { type: 'planet', id: 'jupiter' } }
+        ], 'live query receives changes from base');
+        assert.deepEqual(fork.cache.get(['planet']), store.cache.get(['planet']), 'fork\'s records match its base');
+        assert.equal(fork.cache.get(['moon', 'io', 'attributes', 'name']), 'IO', 'fork keeps its own changes');
+      });
+  });
+
+  test('#rebase - keeps undo history for re-applied transforms', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+
+    let fork, renameSaturn;
+
+    return store.update([addRecord(jupiter), addRecord(saturn)])
+      .then(() => {
+        fork = store.fork();
+        renameSaturn = Transform.from(replaceAttribute(saturn, 'name', 'Cronus'));
+        return fork.update(renameSaturn);
+      })
+      .then(() => fork.update(replaceAttribute(jupiter, 'name', 'Zeus')))
+      .then(() => store.update([removeRecord(saturn), addRecord(io)]))
+      .then(() => fork.rebase())
+      .then(() => {
+        assert.ok(fork.canUndo, 'fork can still undo');
+
+        return fork.undo();
+      })
+      .then(() => {
+        assert.equal(fork.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Jupiter', 're-applied transform is undone');
+        assert.deepEqual(fork.cache.get(['moon', 'io']), io, 'base changes are kept');
+        assert.ok(!fork.canUndo, 'transforms that were dropped entirely are forgotten');
+      });
+  });
+
+  test('#rebase - keeps savepoints when operations are dropped', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+    const europa = { type: 'moon', id: 'europa', attributes: { name: 'Europa' } };
+
+    let fork, addEuropa;
+
+    return store.update([addRecord(jupiter), addRecord(io)])
+      .then(() => {
+        fork = store.fork();
+        return fork.update(replaceAttribute(jupiter, 'name', 'Zeus'));
+      })
+      .then(() => {
+        fork.savepoint('renamed');
+        addEuropa = Transform.from(addRecord(europa));
+        return fork.update(addEuropa);
+      })
+      .then(() => {
+        fork.savepoint('added');
+        return fork.update(replaceAttribute(io, 'name', 'Io2'));
+      })
+      .then(() => store.update(removeRecord(jupiter)))
+      .then(() => fork.rebase())
+      .then(() => {
+        assert.deepEqual(fork.savepoints, ['renamed', 'added'], 'savepoints are kept');
+
+        return fork.rollbackTo('added');
+      })
+      .then(() => {
+        assert.deepEqual(fork.transformLog.entries, [addEuropa.id], 'savepoints of re-applied transforms are unchanged');
+        assert.equal(fork.cache.get(['moon', 'io', 'attributes', 'name']), 'Io', 'later transforms are rolled back');
+
+        return fork.rollbackTo('renamed');
+      })
+      .then(() => {
+        assert.deepEqual(fork.transformLog.entries, [], 'savepoints of dropped transforms move to the preceding transform');
+        assert.equal(fork.cache.get(['moon', 'europa']), undefined, 'later transforms are rolled back');
+      });
+  });
+
+  test('#rebase - can only be called on a forked store', function(assert) {
+    assert.throws(() => store.rebase(), /Only a forked store can be rebased/);
+  });
+
+  test('#undo / #redo - undo and redo updates', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+
+    assert.equal(store.canUndo, false, 'nothing to undo initially');
+    assert.equal(store.canRedo, false, 'nothing to redo initially');
+
+    return store.update(addRecord(jupiter))
+      .then(() => store.update(replaceAttribute(jupiter, 'name', 'Zeus')))
+      .then(() => {
+        assert.equal(store.canUndo, true, 'updates can be undone');
+        return store.undo();
+      })
+      .then(() => {
+        assert.equal(store.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Jupiter', 'last update is undone');
+        assert.equal(store.canRedo, true, 'undone update can be redone');
+        return store.undo();
+      })
+      .then(() => {
+        assert.equal(store.cache.get(['planet', 'jupiter']), undefined, 'first update is undone');
+        assert.equal(store.canUndo, false, 'nothing left to undo');
+        assert.equal(store.transformLog.length, 4, 'undos are logged as transforms');
+        return store.redo();
+      })
+      .then(() => store.redo())
+      .then(() => {
+        assert.equal(store.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Zeus', 'updates are redone');
+        assert.equal(store.canRedo, false, 'nothing left to redo');
+        return store.undo();
+      })
+      .then(() => {
+        assert.equal(store.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Jupiter', 'redone update can be undone');
+      });
+  });
+
+  test('#undo / #redo - resolve without changes when there is nothing to undo or redo', function(assert) {
+    return all([store.undo(), store.redo()])
+      .then(() => {
+        assert.equal(store.transformLog.length, 0, 'no transforms are applied');
+      });
+  });
+
+  test('#redo - a new update clears the redo stack', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+
+    return store.update(addRecord(jupiter))
+      .then(() => store.undo())
+      .then(() => store.update(addRecord(saturn)))
+      .then(() => {
+        assert.equal(store.canRedo, false, 'nothing to redo');
+        assert.equal(store.canUndo, true, 'new update can be undone');
+      });
+  });
+
+  test('#beginUndoGroup / #endUndoGroup - group updates into a single undoable step', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+
+    store.beginUndoGroup();
+
+    return store.update(addRecord(jupiter))
+      .then(() => store.update(addRecord(io)))
+      .then(() => store.update(replaceHasOne(io, 'planet', jupiter)))
+      .then(() => {
+        store.endUndoGroup();
+        return store.undo();
+      })
+      .then(() => {
+        assert.equal(store.cache.get(['planet', 'jupiter']), undefined, 'first update in group is undone');
+        assert.equal(store.cache.get(['moon', 'io']), undefined, 'second update in group is undone');
+        assert.equal(store.canUndo, false, 'group is undone in one step');
+        return store.redo();
+      })
+      .then(() => {
+        assert.equal(store.cache.get(['moon', 'io', 'relationships', 'planet', 'data']), 'planet:jupiter', 'group is redone in one step');
+      });
+  });
+
+  test('#endUndoGroup - must be preceded by `beginUndoGroup`', function(assert) {
+    assert.throws(() => store.endUndoGroup(), /must be preceded by `beginUndoGroup`/);
+  });
+
+  test('#undo - emits `undoStackChange` when the stacks change', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const changes = [];
+
+    store.on('undoStackChange', () => changes.push([store.canUndo, store.canRedo]));
+
+    return store.update(addRecord(jupiter))
+      .then(() => store.undo())
+      .then(() => {
+        assert.deepEqual(changes, [
+          [true, false],
+          [false, false],
+          [false, true]
+        ], 'emits events as the stacks change');
+      });
+  });
+
+  test('#undo - transforms removed from history can no longer be undone', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+    const addJupiter = Transform.from(addRecord(jupiter));
+
+    return store.update(addJupiter)
+      .then(() => store.update(addRecord(saturn)))
+      .then(() => store.rollback(addJupiter.id))
+      .then(() => {
+        assert.equal(store.canUndo, true, 'remaining transform can be undone');
+        return store.undo();
+      })
+      .then(() => {
+        assert.equal(store.cache.get(['planet', 'jupiter']), undefined, 'remaining transform is undone');
+        assert.equal(store.canUndo, false, 'rolled back transform is not undoable');
+        return store.transformLog.clear();
+      })
+      .then(() => {
+        assert.equal(store.canRedo, false, 'clearing the log clears the redo stack');
+      });
+  });
+
+  test('#revert - reverts an earlier transform while keeping later changes', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+    const renameJupiter = Transform.from(replaceAttribute(jupiter, 'name', 'Zeus'));
+
+    return store.update([addRecord(jupiter), addRecord(saturn)])
+      .then(() => store.update(renameJupiter))
+      .then(() => store.update(replaceAttribute(saturn, 'name', 'Cronus')))
+      .then(() => {
+        assert.deepEqual(store.revertConflicts(renameJupiter.id), [], 'no conflicts');
+        return store.revert(renameJupiter.id);
+      })
+      .then(() => {
+        assert.equal(store.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Jupiter', 'transform is reverted');
+        assert.equal(store.cache.get(['planet', 'saturn', 'attributes', 'name']), 'Cronus', 'later changes are kept');
+        assert.equal(store.transformLog.length, 4, 'revert is applied as a new transform');
+        assert.ok(store.transformLog.contains(renameJupiter.id), 'reverted transform remains in the log');
+      });
+  });
+
+  test('#revert - reports conflicts with later transforms and leaves the store unchanged', function(assert) {
+    assert.expect(6);
+
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const addJupiter = Transform.from(addRecord(jupiter));
+    const renameJupiter = Transform.from(replaceAttribute(jupiter, 'name', 'Zeus'));
+
+    return store.update(addJupiter)
+      .then(() => store.update(renameJupiter))
+      .then(() => {
+        assert.deepEqual(store.revertConflicts(addJupiter.id), [
+          { transform: renameJupiter, path: ['planet', 'jupiter', 'attributes', 'name'] }
+        ], 'conflicts are reported');
+        return store.revert(addJupiter.id);
+      })
+      .catch(e => {
+        assert.ok(e instanceof RevertConflictException, 'RevertConflictException thrown');
+        assert.equal(e.transformId, addJupiter.id, 'exception identifies the transform');
+        assert.equal(e.conflicts.length, 1, 'exception includes the conflicts');
+        assert.equal(store.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Zeus', 'store is unchanged');
+        assert.equal(store.transformLog.length, 2, 'no transform is applied');
+      });
+  });
+
+  test('#revert - rejects for transforms that are not in the store\'s history', function(assert) {
+    assert.expect(2);
+
+    assert.throws(() => store.revertConflicts('unknown'), /Transform not logged/);
+
+    return store.revert('unknown')
+      .catch(e => {
+        assert.ok(/Transform not logged/.test(e.message), 'rejects with TransformNotLoggedException');
+      });
+  });
+
+  test('#rollbackTo - rolls back the store to a named savepoint', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+    const uranus = { type: 'planet', id: 'uranus', attributes: { name: 'Uranus' } };
+    const addJupiter = Transform.from(addRecord(jupiter));
+
+    return store.update(addJupiter)
+      .then(() => {
+        store.savepoint('step1');
+        return store.update(addRecord(saturn));
+      })
+      .then(() => {
+        store.savepoint('step2');
+        return store.update(addRecord(uranus));
+      })
+      .then(() => {
+        assert.deepEqual(store.savepoints, ['step1', 'step2'], 'savepoints are listed');
+        return store.rollbackTo('step1');
+      })
+      .then(() => {
+        assert.deepEqual(store.cache.get(['planet', 'jupiter']), jupiter, 'changes before savepoint remain');
+        assert.equal(store.cache.get(['planet', 'saturn']), undefined, 'changes after savepoint are rolled back');
+        assert.equal(store.cache.get(['planet', 'uranus']), undefined, 'changes after savepoint are rolled back');
+        assert.deepEqual(store.transformLog.entries, [addJupiter.id], 'transform log is rolled back');
+        assert.deepEqual(store.savepoints, ['step1'], 'later savepoints are released');
+      });
+  });
+
+  test('#rollbackTo - can roll back to a savepoint created before any transforms', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+
+    store.savepoint('start');
+
+    return store.update(addRecord(jupiter))
+      .then(() => store.rollbackTo('start'))
+      .then(() => {
+        assert.equal(store.cache.get(['planet', 'jupiter']), undefined, 'all changes are rolled back');
+        assert.equal(store.transformLog.length, 0, 'transform log is empty');
+      });
+  });
+
+  test('#rollbackTo - savepoints remain valid when the transform log is truncated', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+    const addSaturn = Transform.from(addRecord(saturn));
+
+    return store.update(addRecord(jupiter))
+      .then(() => {
+        store.savepoint('step1');
+        return store.update(addSaturn);
+      })
+      .then(() => store.transformLog.truncate(addSaturn.id))
+      .then(() => {
+        assert.deepEqual(store.savepoints, ['step1'], 'savepoint remains');
+        return store.rollbackTo('step1');
+      })
+      .then(() => {
+        assert.deepEqual(store.cache.get(['planet', 'jupiter']), jupiter, 'changes before savepoint remain');
+        assert.equal(store.cache.get(['planet', 'saturn']), undefined, 'changes after savepoint are rolled back');
+      });
+  });
+
+  test('#releaseSavepoint - releases a named savepoint', function(assert) {
+    store.savepoint('step1');
+    store.savepoint('step2');
+    store.releaseSavepoint('step1');
+
+    assert.deepEqual(store.savepoints, ['step2'], 'savepoint is released');
+    assert.throws(() => store.rollbackTo('step1'), SavepointNotFoundException, 'released savepoint can\'t be rolled back to');
+    assert.throws(() => store.releaseSavepoint('step1'), SavepointNotFoundException, 'released savepoint can\'t be released again');
+  });
+
+  test('transformLog.clear - releases all savepoints', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+
+    return store.update(addRecord(jupiter))
+      .then(() => {
+        store.savepoint('step1');
+        return store.transformLog.clear();
+      })
+      .then(() => {
+        assert.deepEqual(store.savepoints, [], 'no savepoints remain');
+      });
+  });
+
+  test('`maxHistoryLength` - drops the oldest transforms from history', function(assert) {
+    const store = new Store({ schema, keyMap, maxHistoryLength: 2 });
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+    const uranus = { type: 'planet', id: 'uranus', attributes: { name: 'Uranus' } };
+    const addJupiter = Transform.from(addRecord(jupiter));
+    const addSaturn = Transform.from(addRecord(saturn));
+    const addUranus = Transform.from(addRecord(uranus));
+
+    return store.update(addJupiter)
+      .then(() => store.update(addSaturn))
+      .then(() => store.update(addUranus))
+      .then(() => {
+        assert.deepEqual(store.transformLog.entries, [addSaturn.id, addUranus.id], 'oldest transform is truncated from the log');
+        assert.deepEqual(store.allTransforms(), [addSaturn, addUranus], 'oldest transform is dropped');
+        assert.equal(store._transformInverses[addJupiter.id], undefined, 'inverse of oldest transform is dropped');
+
+        store.rollback(addSaturn.id);
+
+        assert.equal(store.cache.get(['planet', 'uranus']), undefined, 'later transforms can be rolled back');
+        assert.deepEqual(store.cache.get(['planet', 'jupiter']), jupiter, 'dropped transform is still applied');
+      });
+  });
+
+  test('`maxHistoryLength` - can coalesce the oldest transforms into a checkpoint', function(assert) {
+    const store = new Store({ schema, keyMap, maxHistoryLength: 2, historyCompaction: 'coalesce' });
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const uranus = { type: 'planet', id: 'uranus', attributes: { name: 'Uranus' } };
+    const addJupiter = Transform.from(addRecord(jupiter));
+    const renameJupiter = Transform.from(replaceAttribute(jupiter, 'name', 'Zeus'));
+    const addUranus = Transform.from(addRecord(uranus));
+
+    return store.update(addJupiter)
+      .then(() => store.update(renameJupiter))
+      .then(() => store.update(addUranus))
+      .then(() => {
+        assert.deepEqual(store.transformLog.entries, [renameJupiter.id, addUranus.id], 'log is compacted');
+        assert.deepEqual(
+          store.allTransforms()[0].operations,
+          [addRecord({ type: 'planet', id: 'jupiter', attributes: { name: 'Zeus' } })],
+          'checkpoint coalesces the oldest transforms'
+        );
+        assert.equal(store._transformInverses[renameJupiter.id], undefined, 'checkpoint has no inverse');
+        assert.ok(store._transformInverses[addUranus.id], 'later transform keeps its inverse');
+
+        const base = new Store({ schema, keyMap: new KeyMap() });
+        const fork = base.fork({ maxHistoryLength: 1, historyCompaction: 'coalesce' });
+
+        return fork.update(addRecord(jupiter))
+          .then(() => fork.update(replaceAttribute(jupiter, 'name', 'Zeus')))
+          .then(() => base.merge(fork))
+          .then(() => {
+            assert.equal(base.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Zeus', 'merging includes changes in checkpoint');
+          });
+      });
+  });
+
+  test('`maxHistorySize` - limits the size of the history', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+    const uranus = { type: 'planet', id: 'uranus', attributes: { name: 'Uranus' } };
+    const addUranus = Transform.from(addRecord(uranus));
+    const size = JSON.stringify(addUranus.operations).length + JSON.stringify([removeRecord(identity(uranus))]).length;
+
+    const store = new Store({ schema, keyMap, maxHistorySize: size + 1 });
+
+    return store.update(addRecord(jupiter))
+      .then(() => store.update(addRecord(saturn)))
+      .then(() => store.update(addUranus))
+      .then(() => {
+        assert.deepEqual(store.transformLog.entries, [addUranus.id], 'oldest transforms are dropped');
+      });
+  });
+
+  module('journal', function(hooks) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+    const uranus = { type: 'planet', id: 'uranus', attributes: { name: 'Uranus' } };
+
+    let fs;
+
+    function restart(options = {}) {
+      const journal = new Journal({ fs, path: 'store.log', snapshotInterval: options.snapshotInterval });
+      return new Store({ schema, keyMap: new KeyMap(), journal });
+    }
+
+    hooks.beforeEach(function() {
+      fs = new MemoryFS();
+      store = restart();
+    });
+
+    test('restores the store\'s cache and history after a restart', function(assert) {
+      const addJupiter = Transform.from(addRecord(jupiter));
+      const addSaturn = Transform.from(addRecord(saturn));
+      const addUranus = Transform.from(addRecord(uranus));
+
+      return store.update(addJupiter)
+        .then(() => store.update(addSaturn))
+        .then(() => store.update(addUranus))
+        .then(() => store.rollback(addSaturn.id))
+        .then(() => {
+          store = restart();
+
+          assert.deepEqual(store.cache.get(['planet', 'jupiter']), jupiter, 'applied transforms are replayed');
+          assert.equal(store.cache.get(['planet', 'uranus']), undefined, 'rolled back transforms are replayed');
+          assert.deepEqual(store.transformLog.entries, [addJupiter.id, addSaturn.id], 'transform log is restored');
+
+          store.rollback(addJupiter.id);
+
+          assert.equal(store.cache.get(['planet', 'saturn']), undefined, 'restored transforms can be rolled back');
+        });
+    });
+
+    test('persists truncation and clearing of the transform log', function(assert) {
+      const addJupiter = Transform.from(addRecord(jupiter));
+      const addSaturn = Transform.from(addRecord(saturn));
+
+      return store.update(addJupiter)
+        .then(() => store.update(addSaturn))
+        .then(() => store.transformLog.truncate(addSaturn.id))
+        .then(() => {
+          store = restart();
+
+          assert.deepEqual(store.transformLog.entries, [addSaturn.id], 'truncated transforms are not restored');
+          assert.deepEqual(store.cache.get(['planet', 'jupiter']), jupiter, 'truncated transforms remain applied');
+
+          return store.transformLog.clear();
+        })
+        .then(() => {
+          store = restart();
+
+          assert.equal(store.transformLog.length, 0, 'cleared history is not restored');
+          assert.deepEqual(store.cache.get(['planet', 'saturn']), saturn, 'cleared transforms remain applied');
+        });
+    });
+
+    test('periodically replaces the journal with a snapshot', function(assert) {
+      const addJupiter = Transform.from(addRecord(jupiter));
+      const addSaturn = Transform.from(addRecord(saturn));
+      const addUranus = Transform.from(addRecord(uranus));
+
+      store = restart({ snapshotInterval: 2 });
+
+      return store.update(addJupiter)
+        .then(() => store.update(addSaturn))
+        .then(() => {
+          assert.equal(fs.files['store.log'].split('\n').length, 2, 'journal is replaced by a snapshot');
+          return store.update(addUranus);
+        })
+        .then(() => {
+          store = restart();
+
+          assert.deepEqual(store.cache.get(['planet', 'uranus']), uranus, 'transforms since snapshot are replayed');
+          assert.deepEqual(store.transformLog.entries, [addJupiter.id, addSaturn.id, addUranus.id], 'transform log is restored');
+
+          store.rollback(addJupiter.id);
+
+          assert.equal(store.cache.get(['planet', 'saturn']), undefined, 'transforms in snapshot can be rolled back');
+        });
+    });
+  });
+
+  test('#serialize / Store.deserialize - restore a store\'s state, including its history', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', keys: { remoteId: 'p1' }, attributes: { name: 'Jupiter' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+    const addJupiter = Transform.from(addRecord(jupiter));
+    const addSaturn = Transform.from(addRecord(saturn));
+
+    let restored;
+
+    return store.update(addJupiter)
+      .then(() => {
+        store.savepoint('step1');
+        return store.update(addSaturn);
+      })
+      .then(() => {
+        const data = JSON.parse(JSON.stringify(store.serialize()));
+        restored = Store.deserialize(data, { schema, keyMap: new KeyMap() });
+
+        assert.deepEqual(restored.cache.get(['planet', 'saturn']), saturn, 'cache document is restored');
+        assert.equal(restored.keyMap.keyToId('planet', 'remoteId', 'p1'), 'jupiter', 'keys of records in the document are pushed to the key map');
+        assert.deepEqual(restored.transformLog.entries, [addJupiter.id, addSaturn.id], 'transform log is restored');
+        assert.deepEqual(restored.allTransforms().map(t => t.operations), [addJupiter.operations, addSaturn.operations], 'transforms are restored');
+        assert.ok(restored.allTransforms()[0] instanceof Transform, 'transforms are deserialized');
+        assert.deepEqual(restored.savepoints, ['step1'], 'savepoints are restored');
+        assert.equal(restored.canUndo, true, 'undo stack is restored');
+
+        return restored.rollbackTo('step1');
+      })
+      .then(() => {
+        assert.equal(restored.cache.get(['planet', 'saturn']), undefined, 'restored store can be rolled back');
+        assert.deepEqual(store.cache.get(['planet', 'saturn']), saturn, 'original store is unchanged');
+      });
+  });
+
+  test('#serialize / Store.deserialize - a restored fork can be merged', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } };
+
+    let fork;
+
+    return store.update(addRecord(jupiter))
+      .then(() => {
+        fork = store.fork();
+        return all([
+          fork.update(replaceAttribute(jupiter, 'name', 'Zeus')),
+          store.update(replaceAttribute(jupiter, 'name', 'Jove'))
+        ]);
+      })
+      .then(() => {
+        const restored = Store.deserialize(JSON.parse(JSON.stringify(fork.serialize())), { schema, keyMap });
+
+        assert.equal(store.mergeConflicts(restored).length, 1, 'conflicts are detected');
+
+        return store.merge(restored, { strategy: 'theirs' });
+      })
+      .then(() => {
+        assert.equal(store.cache.get(['planet', 'jupiter', 'attributes', 'name']), 'Zeus', 'restored fork is merged');
+      });
+  });
+
   test('#rollback - rolls back transform log and replays transform inverses against the cache', function(assert) {
     const recordA = { id: 'jupiter', type: 'planet', attributes: { name: 'Jupiter' } };
     const recordB = { id: 'saturn', type: 'planet', attributes: { name: 'Saturn' } };